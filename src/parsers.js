@@ -0,0 +1,320 @@
+/*
+ * Copyright (c) 2013 Algolia
+ * http://www.algolia.com/
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/*
+ * Incremental parsers of the files imported with Index.importFile: they are given the text
+ * of the file piece by piece and only keep the record being parsed in memory.
+ *
+ * A parser implements write(text) and end(), both returning the array of the records completed,
+ * and throwing an Error (with a line attribute) if the text is invalid.
+ */
+var _ = require('underscore');
+
+var invalid = function(message, line) {
+    var error = new Error(message + ' (line ' + line + ')');
+    error.line = line;
+    return error;
+};
+
+/*
+ * Parser of a JSON array of objects: [{...}, {...}]
+ */
+var JsonParser = function() {
+    this.started = false;
+    this.finished = false;
+    // nesting level in the current object, 0 between the objects
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.expectComma = false;
+    this.current = '';
+    this.line = 1;
+    this.records = 0;
+};
+JsonParser.prototype.write = function(text) {
+    var records = [];
+    var start = this.depth > 0 ? 0 : -1;
+    for (var i = 0; i < text.length; ++i) {
+        var c = text.charAt(i);
+        if (c === '\n') {
+            this.line++;
+        }
+        if (this.depth > 0) {
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (c === '\\') {
+                    this.escaped = true;
+                } else if (c === '"') {
+                    this.inString = false;
+                }
+            } else if (c === '"') {
+                this.inString = true;
+            } else if (c === '{' || c === '[') {
+                this.depth++;
+            } else if (c === '}' || c === ']') {
+                if (--this.depth === 0) {
+                    this.current += text.slice(start, i + 1);
+                    records.push(this._record());
+                    start = -1;
+                }
+            }
+        } else if (/\s/.test(c) || c === '\uFEFF') {
+            continue;
+        } else if (this.finished) {
+            throw invalid('Unexpected ' + c + ' after the end of the JSON array', this.line);
+        } else if (!this.started) {
+            if (c !== '[') {
+                throw invalid('Expected a JSON array of objects', this.line);
+            }
+            this.started = true;
+        } else if (c === ']') {
+            this.finished = true;
+        } else if (c === ',' && this.expectComma) {
+            this.expectComma = false;
+        } else if (c === '{' && !this.expectComma) {
+            this.depth = 1;
+            start = i;
+        } else {
+            throw invalid('Unexpected ' + c + ' in the JSON array, expected ' + (this.expectComma ? ', or ]' : 'an object'), this.line);
+        }
+    }
+    if (start !== -1) {
+        this.current += text.slice(start);
+    }
+    return records;
+};
+JsonParser.prototype._record = function() {
+    var text = this.current;
+    this.current = '';
+    this.expectComma = true;
+    this.records++;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw invalid('Invalid JSON in object ' + this.records + ': ' + e.message, this.line);
+    }
+};
+JsonParser.prototype.end = function() {
+    if (!this.finished) {
+        throw invalid('Unexpected end of the JSON array', this.line);
+    }
+    return [];
+};
+
+/*
+ * Parser of newline-delimited JSON: one object per line, the empty lines are ignored
+ */
+var NdjsonParser = function() {
+    this.rest = '';
+    this.line = 0;
+};
+NdjsonParser.prototype.write = function(text) {
+    var lines = (this.rest + text).split('\n');
+    this.rest = lines.pop();
+    return this._records(lines);
+};
+NdjsonParser.prototype.end = function() {
+    var lines = [this.rest];
+    this.rest = '';
+    return this._records(lines);
+};
+NdjsonParser.prototype._records = function(lines) {
+    var self = this;
+    var records = [];
+    _.each(lines, function(line) {
+        self.line++;
+        if (/^\s*$/.test(line)) {
+            return;
+        }
+        var record;
+        try {
+            record = JSON.parse(line);
+        } catch (e) {
+            throw invalid('Invalid JSON: ' + e.message, self.line);
+        }
+        if (!_.isObject(record) || _.isArray(record)) {
+            throw invalid('Expected a JSON object', self.line);
+        }
+        records.push(record);
+    });
+    return records;
+};
+
+/*
+ * Parser of CSV (RFC 4180): the first row gives the names of the attributes, the values
+ * are strings unless typed by the columns option
+ *
+ * @param options (optional) an object with:
+ *  delimiter: the character separating the values (default ',')
+ *  columns: the type of the values of some columns, { name: type } where type is
+ *           'string', 'number', 'boolean' ('true', 'yes' or '1' for true) or 'json',
+ *           or a function(value) returning the value to index. The empty values
+ *           of a typed column are set to null.
+ */
+var CsvParser = function(options) {
+    options = options || {};
+    this.delimiter = options.delimiter || ',';
+    this.columns = options.columns || {};
+    this.header = null;
+    this.row = [];
+    this.field = '';
+    this.inQuotes = false;
+    // a quote was read in a quoted field: either the end of the field or an escaped quote
+    this.quote = false;
+    this.line = 1;
+    this.rowLine = 1;
+};
+CsvParser.prototype.write = function(text) {
+    var records = [];
+    for (var i = 0; i < text.length; ++i) {
+        var c = text.charAt(i);
+        if (this.quote) {
+            this.quote = false;
+            if (c === '"') {
+                this.field += '"';
+                continue;
+            }
+            this.inQuotes = false;
+        }
+        if (this.inQuotes) {
+            if (c === '"') {
+                this.quote = true;
+            } else {
+                if (c === '\n') {
+                    this.line++;
+                }
+                this.field += c;
+            }
+        } else if (c === '"' && this.field === '') {
+            this.inQuotes = true;
+        } else if (c === this.delimiter) {
+            this.row.push(this.field);
+            this.field = '';
+        } else if (c === '\n') {
+            this._endRow(records);
+            this.line++;
+            this.rowLine = this.line;
+        } else if (c !== '\r') {
+            this.field += c;
+        }
+    }
+    return records;
+};
+CsvParser.prototype.end = function() {
+    if (this.inQuotes && !this.quote) {
+        throw invalid('Unterminated quoted value', this.rowLine);
+    }
+    var records = [];
+    this.quote = false;
+    this.inQuotes = false;
+    this._endRow(records);
+    return records;
+};
+CsvParser.prototype._endRow = function(records) {
+    var row = this.row;
+    row.push(this.field);
+    this.row = [];
+    this.field = '';
+    if (row.length === 1 && row[0] === '') {
+        return;
+    }
+    if (!this.header) {
+        this.header = row;
+        return;
+    }
+    if (row.length !== this.header.length) {
+        throw invalid('Found ' + row.length + ' values, expected ' + this.header.length, this.rowLine);
+    }
+    var record = {};
+    for (var i = 0; i < row.length; ++i) {
+        record[this.header[i]] = this._convert(row[i], this.header[i]);
+    }
+    records.push(record);
+};
+CsvParser.prototype._convert = function(value, column) {
+    var type = this.columns[column];
+    if (!type || type === 'string') {
+        return value;
+    }
+    if (_.isFunction(type)) {
+        return type(value);
+    }
+    if (value === '') {
+        return null;
+    }
+    if (type === 'number') {
+        var number = Number(value);
+        if (_.isNaN(number)) {
+            throw invalid('Invalid number ' + JSON.stringify(value) + ' in column ' + column, this.rowLine);
+        }
+        return number;
+    }
+    if (type === 'boolean') {
+        return _.contains(['true', 'yes', '1'], value.toLowerCase());
+    }
+    if (type === 'json') {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            throw invalid('Invalid JSON in column ' + column + ': ' + e.message, this.rowLine);
+        }
+    }
+    throw new Error('Unknown type ' + type + ' of column ' + column);
+};
+
+/*
+ * Parser of the given format ('json', 'ndjson' or 'csv')
+ */
+var create = function(format, options) {
+    if (format === 'json') {
+        return new JsonParser();
+    }
+    if (format === 'ndjson') {
+        return new NdjsonParser();
+    }
+    if (format === 'csv') {
+        return new CsvParser(options);
+    }
+    throw new Error('Unknown format ' + format + ', expected json, ndjson or csv');
+};
+
+/*
+ * Format of a file given by its extension (.json, .ndjson, .jsonl or .csv), null if unknown
+ */
+var formatOf = function(path) {
+    var extension = (/\.([^.\/\\]+)$/.exec(path) || [])[1];
+    extension = extension ? extension.toLowerCase() : null;
+    if (extension === 'jsonl') {
+        return 'ndjson';
+    }
+    return _.contains(['json', 'ndjson', 'csv'], extension) ? extension : null;
+};
+
+module.exports = {
+    JsonParser: JsonParser,
+    NdjsonParser: NdjsonParser,
+    CsvParser: CsvParser,
+    create: create,
+    formatOf: formatOf
+};
@@ -0,0 +1,44 @@
+var _ = require('underscore'),
+    mockedClient = require('./client');
+
+/*
+ * Client answering the batches after 5ms with a taskID (100 for the first batch, then 101...) and the objectIDs,
+ * the batches containing a record with `fail` are rejected. The tasks are published at their second poll.
+ *
+ * @param chunking (optional) the chunking option of the client
+ *
+ * client.batches lists the requests of each batch, client.polls the taskIDs polled,
+ * client.maxRunning the most batches answered at the same time.
+ */
+module.exports = function (chunking) {
+  var running = 0;
+  var client = mockedClient(function (req, callback) {
+    var task = /\/task\/(\d+)$/.exec(req.path);
+    if (task) {
+      var taskID = Number(task[1]);
+      var published = _.contains(client.polls, taskID);
+      client.polls.push(taskID);
+      callback(null, { statusCode: 200, json: { status: published ? 'published' : 'notPublished' } });
+      return;
+    }
+    var requests = JSON.parse(req.body).requests;
+    client.batches.push(requests);
+    running++;
+    client.maxRunning = Math.max(client.maxRunning, running);
+    setTimeout(function () {
+      running--;
+      if (_.find(requests, function (request) { return request.body.fail; })) {
+        callback(null, { statusCode: 400, json: { message: 'Invalid object' } });
+        return;
+      }
+      callback(null, { statusCode: 200, json: {
+        taskID: client.batches.indexOf(requests) + 100,
+        objectIDs: _.map(requests, function (request) { return request.objectID || 'new-' + request.body.n; })
+      } });
+    }, 5);
+  }, { chunking: chunking });
+  client.batches = [];
+  client.polls = [];
+  client.maxRunning = 0;
+  return client;
+};
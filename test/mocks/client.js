@@ -0,0 +1,46 @@
+var _ = require('underscore'),
+    Algolia = require('../../src/algoliasearch-node');
+
+/*
+ * Client answering from memory (see Algolia.MemoryTransport), to test the client without any server
+ *
+ * @param responder (optional) function(req) returning the answer, function(req, callback) calling
+ *        callback(error, answer), or an array of answers given in order (default: an empty object)
+ * @param options (optional) the options of the client, and:
+ *  hosts: the read and write hosts of the client (default host-1, host-2, host-3; null to keep the default hosts)
+ *  apiKey: the API key of the client (default 'API-Key')
+ *
+ * The requests received are kept in client.sent, their hosts in client.tried, the ones aborted in client.aborted.
+ */
+module.exports = function (responder, options) {
+  options = options || {};
+  if (_.isArray(responder)) {
+    var responses = responder;
+    responder = function () {
+      return responses.shift();
+    };
+  }
+  var transport = new Algolia.MemoryTransport(responder || function () {
+    return { statusCode: 200, json: {} };
+  });
+  var request = transport.request;
+  var client = new Algolia('ApplicationID', options.apiKey || 'API-Key', undefined, undefined,
+                           _.extend({ transport: transport }, _.omit(options, 'hosts', 'apiKey')));
+  if (options.hosts !== null) {
+    client.readHosts = client.writeHosts = options.hosts || ['host-1', 'host-2', 'host-3'];
+  }
+  client.sent = transport.requests;
+  client.tried = [];
+  client.aborted = [];
+  transport.request = function (req, callback) {
+    client.tried.push(req.hostname);
+    var handle = request.call(transport, req, callback);
+    return {
+      abort: function () {
+        client.aborted.push(req);
+        handle.abort();
+      }
+    };
+  };
+  return client;
+};
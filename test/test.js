@@ -76,13 +76,17 @@ describe('Mocked Algolia', function () {
 
     var index = client.initIndex('àlgol?à-node');
     index.search('loz anqel', function(error, content) {
-      error.should.eql(true);
+      error.should.be.an.instanceOf(Algolia.AlgoliaError);
+      error.should.have.property('statusCode', 503);
+      error.should.have.property('retryable', true);
+      error.hosts.should.have.length(3);
+      content.should.have.property('message', 'Fail 3');
       done();
     });
   });
 });
 
-describe('Algolia', function () {
+(process.env.ALGOLIA_APPLICATION_ID ? describe : describe.skip)('Algolia', function () {
   var Algolia = require('../src/algoliasearch-node');
 
   function safe_index_name(name) {
@@ -98,7 +102,10 @@ describe('Algolia', function () {
     done();
   });
 
-  var client = new Algolia(process.env.ALGOLIA_APPLICATION_ID, process.env.ALGOLIA_API_KEY);
+  var client;
+  before(function () {
+    client = new Algolia(process.env.ALGOLIA_APPLICATION_ID, process.env.ALGOLIA_API_KEY);
+  });
 
   it('should be able to set settings', function (done) {
     var index = client.initIndex(safe_index_name('àlgol?à-node'));
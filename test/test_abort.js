@@ -0,0 +1,87 @@
+var should = require('should'),
+    mockedClient = require('./mocks/client');
+
+describe('Algolia Abort', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  // never answered
+  function pending(req, callback) {}
+
+  it('should abort the request in progress of a promise', function (done) {
+    var client = mockedClient(pending);
+    var promise = client.initIndex('cities').search('paris');
+    promise.then(function () {
+      done(new Error('should not succeed'));
+    }, function (error) {
+      error.should.be.an.instanceOf(Algolia.AbortError);
+      error.should.be.an.instanceOf(Algolia.AlgoliaError);
+      error.message.should.eql('Request aborted');
+      client.sent.should.have.length(1);
+      client.aborted.should.eql(client.sent);
+      done();
+    }).then(null, done);
+    setTimeout(function () {
+      promise.abort();
+    }, 5);
+  });
+
+  it('should abort a call made with a callback', function (done) {
+    var client = mockedClient(pending);
+    var handle = client.listIndexes(function (error, content) {
+      error.should.be.an.instanceOf(Algolia.AbortError);
+      content.should.eql({ message: 'Request aborted' });
+      client.aborted.should.have.length(1);
+      done();
+    });
+    handle.abort();
+  });
+
+  it('should cancel the pending retries', function (done) {
+    var client = mockedClient(function (req, callback) {
+      callback(null, { statusCode: 429, headers: { 'content-type': 'application/json', 'retry-after': '1' }, body: '{"message":"Too Many Requests"}' });
+    });
+    var canceller = new Algolia.Canceller();
+    client.listIndexes(function (error) {
+      error.should.be.an.instanceOf(Algolia.AbortError);
+      setTimeout(function () {
+        client.sent.should.have.length(1);
+        done();
+      }, 1100);
+    }, { signal: canceller.signal });
+    setTimeout(function () {
+      canceller.abort();
+    }, 10);
+  });
+
+  it('should stop polling a task', function (done) {
+    var client = mockedClient(function (req, callback) {
+      setImmediate(function () {
+        callback(null, { statusCode: 200, headers: { 'content-type': 'application/json' }, body: '{"status":"notPublished"}' });
+      });
+    });
+    var canceller = new Algolia.Canceller();
+    client.initIndex('cities').waitTask(42, { signal: canceller.signal }).then(null, function (error) {
+      error.should.be.an.instanceOf(Algolia.AbortError);
+      var sent = client.sent.length;
+      sent.should.be.within(2, 3);
+      setTimeout(function () {
+        client.sent.should.have.length(sent);
+        done();
+      }, 250);
+    }).then(null, done);
+    setTimeout(function () {
+      canceller.abort();
+    }, 150);
+  });
+
+  it('should not send anything with an aborted signal', function (done) {
+    var client = mockedClient(pending);
+    var canceller = new Algolia.Canceller();
+    canceller.abort();
+    client.initIndex('cities').getSettings(function (error) {
+      error.should.be.an.instanceOf(Algolia.AbortError);
+      client.sent.should.have.length(0);
+      done();
+    }, { signal: canceller.signal });
+  });
+});
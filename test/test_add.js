@@ -2,7 +2,7 @@ var should = require('should'),
     moquire = require('moquire');
 
 
-describe('Algolia Add', function () {
+(process.env.ALGOLIA_APPLICATION_ID ? describe : describe.skip)('Algolia Add', function () {
   var Algolia = require('../src/algoliasearch-node');
   function safe_index_name(name) {
     if (!process.env.TRAVIS)
@@ -16,7 +16,10 @@ describe('Algolia Add', function () {
     done();
   });
 
-  var client = new Algolia(process.env.ALGOLIA_APPLICATION_ID, process.env.ALGOLIA_API_KEY);
+  var client;
+  before(function () {
+    client = new Algolia(process.env.ALGOLIA_APPLICATION_ID, process.env.ALGOLIA_API_KEY);
+  });
 
   it('should be able to add', function (done) {
     var index = client.initIndex(safe_index_name('àlgol?à-node'));
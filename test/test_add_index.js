@@ -2,7 +2,7 @@ var should = require('should'),
     moquire = require('moquire');
 
 
-describe('Algolia Add Index', function () {
+(process.env.ALGOLIA_APPLICATION_ID ? describe : describe.skip)('Algolia Add Index', function () {
   var Algolia = require('../src/algoliasearch-node');
 
   function safe_index_name(name) {
@@ -26,7 +26,10 @@ describe('Algolia Add Index', function () {
     done();
   });
 
-  var client = new Algolia(process.env.ALGOLIA_APPLICATION_ID, process.env.ALGOLIA_API_KEY);
+  var client;
+  before(function () {
+    client = new Algolia(process.env.ALGOLIA_APPLICATION_ID, process.env.ALGOLIA_API_KEY);
+  });
 
   it('should be able to add index', function (done) {
     var res;
@@ -0,0 +1,135 @@
+var should = require('should'),
+    url = require('url'),
+    _ = require('underscore'),
+    mockedClient = require('./mocks/client');
+
+describe('Algolia Browse All', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  // index of nbRecords records answering the pages after 5ms, the pages listed in failing are rejected,
+  // client.queries lists the query parameters received
+  function indexClient(nbRecords, failing) {
+    var client = mockedClient(function (req, callback) {
+      var query = url.parse(req.path, true).query;
+      client.queries.push(_.extend({}, query));
+      client.running++;
+      client.maxRunning = Math.max(client.maxRunning, client.running);
+      var page = Number(query.page);
+      var hitsPerPage = Number(query.hitsPerPage || 1000);
+      setTimeout(function () {
+        client.running--;
+        if (_.contains(failing, page)) {
+          callback(null, { statusCode: 500, json: { message: 'Internal error' } });
+          return;
+        }
+        var hits = _.map(_.range(page * hitsPerPage, Math.min(nbRecords, (page + 1) * hitsPerPage)), function (i) {
+          return { objectID: String(i) };
+        });
+        callback(null, { statusCode: 200, json: { hits: hits, page: page, nbHits: nbRecords, nbPages: Math.ceil(nbRecords / hitsPerPage), hitsPerPage: hitsPerPage } });
+      }, 5);
+    }, { retry: { maxAttempts: 1 } });
+    client.queries = [];
+    client.running = 0;
+    client.maxRunning = 0;
+    return client;
+  }
+
+  it('should stream all the records with the query parameters', function (done) {
+    var client = indexClient(23);
+    var Contact = function () {};
+    var records = [];
+    var browse = client.initIndex('contacts').browseAll({ query: 'paris', numericFilters: ['followers>10'], hitsPerPage: 5 }, Contact);
+    browse.on('data', function (record) {
+      records.push(record);
+    }).on('end', function () {
+      _.pluck(records, 'objectID').should.eql(_.map(_.range(23), String));
+      records[0].should.be.an.instanceOf(Contact);
+      browse.nbHits.should.eql(23);
+      browse.nbPages.should.eql(5);
+      _.pluck(client.queries, 'page').sort().should.eql(['0', '1', '2', '3', '4']);
+      client.queries[0].should.eql({ query: 'paris', numericFilters: '["followers>10"]', hitsPerPage: '5', page: '0' });
+      client.maxRunning.should.eql(2);
+      done();
+    });
+  });
+
+  it('should be an async iterator', function (done) {
+    var client = indexClient(7);
+    var iterator = client.initIndex('contacts').browseAll({ hitsPerPage: 3 }, { pagesAhead: 3 })[Symbol.asyncIterator]();
+    var records = [];
+    var next = function () {
+      iterator.next().then(function (item) {
+        if (item.done) {
+          _.pluck(records, 'objectID').should.eql(['0', '1', '2', '3', '4', '5', '6']);
+          client.maxRunning.should.eql(2);
+          done();
+          return;
+        }
+        records.push(item.value);
+        next();
+      }).then(null, done);
+    };
+    next();
+  });
+
+  it('should stop requesting pages while the records are not read', function (done) {
+    var client = indexClient(100);
+    var browse = client.initIndex('contacts').browseAll({ hitsPerPage: 5 }, { pagesAhead: 2, highWaterMark: 5 });
+    var count = 0;
+    browse.on('data', function () {
+      if (++count === 1) {
+        browse.pause();
+        setTimeout(function () {
+          // the page read, one page buffered by the stream and the pages ahead
+          client.queries.length.should.not.be.above(4);
+          browse.resume();
+        }, 50);
+      }
+    }).on('end', function () {
+      count.should.eql(100);
+      client.queries.should.have.length(20);
+      done();
+    });
+  });
+
+  it('should end right away on an empty index', function (done) {
+    var client = indexClient(0);
+    client.initIndex('contacts').browseAll().on('data', function () {
+      should.fail('no record expected');
+    }).on('end', function () {
+      client.queries.should.have.length(1);
+      done();
+    });
+  });
+
+  it('should emit the errors and stop', function (done) {
+    var client = indexClient(20, [2]);
+    var count = 0;
+    client.initIndex('contacts').browseAll({ hitsPerPage: 5 }).on('data', function () {
+      count++;
+    }).on('error', function (error) {
+      error.should.be.an.instanceOf(Algolia.AlgoliaError);
+      error.statusCode.should.eql(500);
+      setTimeout(function () {
+        count.should.not.be.above(10);
+        client.queries.should.have.length(4);
+        done();
+      }, 20);
+    });
+  });
+
+  it('should be destroyed by the abort signal', function (done) {
+    var client = indexClient(20);
+    var canceller = new Algolia.Canceller();
+    client.initIndex('contacts').browseAll({ hitsPerPage: 5 }, undefined, {}, { signal: canceller.signal }).on('error', function (error) {
+      error.should.be.an.instanceOf(Algolia.AbortError);
+      setTimeout(function () {
+        client.queries.should.have.length(1);
+        done();
+      }, 20);
+    }).resume();
+    setTimeout(function () {
+      canceller.abort();
+    }, 1);
+  });
+});
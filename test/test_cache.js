@@ -0,0 +1,136 @@
+var should = require('should'),
+    _ = require('underscore'),
+    mockedClient = require('./mocks/client');
+
+describe('Algolia Cache', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  // answer the searches with the number of requests received, client.sent lists them
+  function cacheClient(cache) {
+    var client = mockedClient(function () {
+      return { statusCode: 200, json: { taskID: 1, hits: [{ objectID: String(client.sent.length) }], results: [] } };
+    }, { cache: cache });
+    return client;
+  }
+
+  it('should answer the same search from the cache', function (done) {
+    var client = cacheClient(true);
+    var index = client.initIndex('cities');
+    index.search('paris', { hitsPerPage: 5 }).then(function (first) {
+      first.hits[0].newField = 'changed by the caller';
+      return index.search('paris', { hitsPerPage: 5 }).then(function (second) {
+        client.sent.should.have.length(1);
+        second.should.eql({ taskID: 1, hits: [{ objectID: '1' }], results: [] });
+        return index.search('paris', { hitsPerPage: 10 });
+      });
+    }).then(function (other) {
+      client.sent.should.have.length(2);
+      other.hits[0].objectID.should.eql('2');
+      done();
+    }).then(null, done);
+  });
+
+  it('should not be used by default', function (done) {
+    var client = cacheClient(undefined);
+    var index = client.initIndex('cities');
+    index.search('paris').then(function () {
+      return index.search('paris');
+    }).then(function () {
+      client.sent.should.have.length(2);
+      should.not.exist(client.cache);
+      done();
+    }).then(null, done);
+  });
+
+  it('should cache the multiple queries', function (done) {
+    var client = cacheClient(true);
+    var queries = function () {
+      return [{ indexName: 'cities', query: 'paris' }, { indexName: 'countries', query: 'france' }];
+    };
+    client.multipleQueries(queries(), 'indexName').then(function () {
+      return client.multipleQueries(queries(), 'indexName');
+    }).then(function () {
+      client.sent.should.have.length(1);
+      return client.initIndex('countries').clearIndex();
+    }).then(function () {
+      return client.multipleQueries(queries(), 'indexName');
+    }).then(function () {
+      client.sent.should.have.length(3);
+      done();
+    }).then(null, done);
+  });
+
+  it('should drop the answers about an index when the client writes to it', function (done) {
+    var client = cacheClient(true);
+    var cities = client.initIndex('cities'), countries = client.initIndex('countries');
+    var writes = [
+      function () { return cities.addObjects([{ name: 'Paris' }]); },
+      function () { return cities.saveObject({ objectID: '1', name: 'Paris' }); },
+      function () { return cities.setSettings({ hitsPerPage: 5 }); },
+      function () { return cities.clearIndex(); }
+    ];
+    var step = function () {
+      if (writes.length === 0) {
+        done();
+        return;
+      }
+      var sent;
+      cities.search('paris').then(function () {
+        return countries.search('france');
+      }).then(function () {
+        return writes.shift()();
+      }).then(function () {
+        sent = client.sent.length;
+        return cities.search('paris');
+      }).then(function () {
+        return countries.search('france');
+      }).then(function () {
+        _.pluck(client.sent.slice(sent), 'path').should.eql(['/1/indexes/cities/query']);
+        step();
+      }).then(null, done);
+    };
+    step();
+  });
+
+  it('should expire the answers and keep the most recently used ones', function (done) {
+    var client = cacheClient({ ttl: 20, maxSize: 2 });
+    var index = client.initIndex('cities');
+    var search = function (query) {
+      return function () { return index.search(query); };
+    };
+    search('a')().then(search('b')).then(search('a')).then(search('c')).then(function () {
+      client.sent.should.have.length(3);
+      return search('a')();
+    }).then(function () {
+      client.sent.should.have.length(3);
+      return search('b')();
+    }).then(function () {
+      client.sent.should.have.length(4);
+      return new Promise(function (resolve) { setTimeout(resolve, 30); });
+    }).then(search('b')).then(function () {
+      client.sent.should.have.length(5);
+      done();
+    }).then(null, done);
+  });
+
+  it('should skip the cache on demand and keep the answers by credentials', function (done) {
+    var client = cacheClient(true);
+    var index = client.initIndex('cities');
+    index.search('paris').then(function () {
+      return index.search('paris', {}, undefined, { cache: false });
+    }).then(function (content) {
+      content.hits[0].objectID.should.eql('2');
+      return index.search('paris');
+    }).then(function (content) {
+      content.hits[0].objectID.should.eql('2');
+      return client.withOptions({ apiKey: 'Other-API-Key' }).initIndex('cities').search('paris');
+    }).then(function () {
+      client.sent.should.have.length(3);
+      client.clearCache('cities');
+      return index.search('paris');
+    }).then(function () {
+      client.sent.should.have.length(4);
+      done();
+    }).then(null, done);
+  });
+});
@@ -0,0 +1,92 @@
+var should = require('should'),
+    _ = require('underscore'),
+    batchClient = require('./mocks/batch');
+
+describe('Algolia Chunking', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  function objects(n) {
+    return _.map(_.range(n), function (i) { return { n: i }; });
+  }
+
+  it('should send a small batch in one request', function (done) {
+    var client = batchClient();
+    client.initIndex('cities').addObjects(objects(10), function (error, content) {
+      error.should.eql(false);
+      client.batches.should.have.length(1);
+      content.should.eql({ taskID: 100, objectIDs: _.map(_.range(10), function (i) { return 'new-' + i; }) });
+      done();
+    });
+  });
+
+  it('should split the batches by number of objects with limited concurrency', function (done) {
+    var client = batchClient({ maxObjects: 3, concurrency: 2 });
+    client.initIndex('cities').addObjects(objects(10)).then(function (content) {
+      _.map(client.batches, function (requests) { return requests.length; }).should.eql([3, 3, 3, 1]);
+      client.maxRunning.should.eql(2);
+      content.objectIDs.should.eql(_.map(_.range(10), function (i) { return 'new-' + i; }));
+      content.taskIDs.should.have.length(4);
+      content.taskIDs.sort().should.eql([100, 101, 102, 103]);
+      content.taskID.should.eql(103);
+      done();
+    }).then(null, done);
+  });
+
+  it('should split the batches by size', function (done) {
+    var client = batchClient({ maxBytes: 400 });
+    var big = _.map(_.range(4), function (i) { return { objectID: String(i), text: new Array(80).join('x') }; });
+    client.initIndex('cities').saveObjects(big).then(function (content) {
+      _.map(client.batches, function (requests) { return requests.length; }).should.eql([2, 2]);
+      client.batches[0][0].should.have.property('action', 'updateObject');
+      content.objectIDs.should.eql(['0', '1', '2', '3']);
+      done();
+    }).then(null, done);
+  });
+
+  it('should chunk the deletions', function (done) {
+    var client = batchClient({ maxObjects: 2 });
+    client.initIndex('cities').deleteObjects(['1', '2', '3']).then(function (content) {
+      client.batches.should.have.length(2);
+      client.batches[1].should.eql([{ action: 'deleteObject', body: { objectID: '3' }, objectID: '3' }]);
+      content.objectIDs.should.eql(['1', '2', '3']);
+      done();
+    }).then(null, done);
+  });
+
+  it('should report the chunks that were not accepted', function (done) {
+    var client = batchClient({ maxObjects: 2 });
+    var list = [{ objectID: 'a' }, { objectID: 'b' }, { objectID: 'c', fail: true }, { objectID: 'd' }, { objectID: 'e', fail: true }];
+    client.initIndex('cities').saveObjects(list, function (error, content) {
+      error.should.be.an.instanceOf(Algolia.BatchError);
+      error.message.should.eql('2 of 3 chunks failed, 3 of 5 objects were not accepted: Invalid object');
+      error.failures.should.have.length(2);
+      error.failures[0].should.have.property('offset', 2);
+      error.failures[0].should.have.property('count', 2);
+      error.failures[0].objectIDs.should.eql(['c', 'd']);
+      error.failures[0].error.should.be.an.instanceOf(Algolia.InvalidRequestError);
+      error.failures[1].objectIDs.should.eql(['e']);
+      error.objectIDs.should.eql(['a', 'b']);
+      error.taskIDs.should.eql([100]);
+      content.failures.should.equal(error.failures);
+      done();
+    });
+  });
+
+  it('should stop sending the chunks once aborted', function (done) {
+    var client = batchClient({ maxObjects: 1, concurrency: 1 });
+    var call = client.initIndex('cities').addObjects(objects(5), function (error) {
+      error.should.be.an.instanceOf(Algolia.AbortError);
+      setTimeout(function () {
+        client.batches.should.have.length(2);
+        done();
+      }, 30);
+    });
+    // abort while the second chunk is in progress
+    var timer = setInterval(function () {
+      if (client.batches.length === 2) {
+        clearInterval(timer);
+        call.abort();
+      }
+    }, 1);
+  });
+});
@@ -0,0 +1,139 @@
+var should = require('should'),
+    _ = require('underscore'),
+    mockedClient = require('./mocks/client');
+
+describe('Algolia Coalescing', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  // answer each search with its params, and a 404 for the missing index
+  function coalesceClient(coalesce, options) {
+    return mockedClient(function (req) {
+      var body = JSON.parse(req.body);
+      var requests = body.requests || [{ indexName: decodeURIComponent(req.path.split('/')[3]), params: body.params }];
+      if (_.findWhere(requests, { indexName: 'missing' })) {
+        return { statusCode: 404, json: { message: 'Index missing does not exist' } };
+      }
+      var results = _.map(requests, function (request) {
+        return { index: request.indexName, params: request.params, hits: [{ objectID: '1' }] };
+      });
+      return { statusCode: 200, json: body.requests ? { results: results } : results[0] };
+    }, _.extend({ coalesce: coalesce }, options));
+  }
+
+  it('should send the searches of the same tick in one multipleQueries call', function (done) {
+    var client = coalesceClient(true);
+    var Hit = function () {};
+    Promise.all([
+      client.initIndex('cities').search('paris', { hitsPerPage: 5 }),
+      client.initIndex('countries').search('france', { hitsPerPage: 5 }, Hit),
+      client.initIndex('cities').search('rome')
+    ]).then(function (contents) {
+      client.sent.should.have.length(1);
+      client.sent[0].path.should.eql('/1/indexes/*/queries');
+      JSON.parse(client.sent[0].body).requests.should.eql([
+        { indexName: 'cities', params: 'query=paris&hitsPerPage=5' },
+        { indexName: 'countries', params: 'query=france&hitsPerPage=5' },
+        { indexName: 'cities', params: 'query=rome' }
+      ]);
+      contents[0].should.have.property('params', 'query=paris&hitsPerPage=5');
+      contents[1].should.have.property('index', 'countries');
+      contents[1].hits[0].should.be.an.instanceOf(Hit);
+      contents[2].should.have.property('params', 'query=rome');
+      done();
+    }).then(null, done);
+  });
+
+  it('should send a lone search and the searches with request options as usual', function (done) {
+    var client = coalesceClient(true);
+    var index = client.initIndex('cities');
+    index.search('paris', function (error, content) {
+      error.should.eql(false);
+      content.should.have.property('params', 'query=paris');
+      index.search('rome', {}, undefined, { userToken: 'alice' }).then(function () {
+        _.pluck(client.sent, 'path').should.eql(['/1/indexes/cities/query', '/1/indexes/cities/query']);
+        done();
+      }).then(null, done);
+    });
+  });
+
+  it('should wait for the searches of the time window', function (done) {
+    var client = coalesceClient({ delay: 20, maxQueries: 3 });
+    var index = client.initIndex('cities');
+    var searches = [index.search('a'), index.search('b')];
+    setTimeout(function () {
+      searches.push(index.search('c'), index.search('d'), index.search('e'));
+      Promise.all(searches).then(function (contents) {
+        _.map(client.sent, function (req) { return JSON.parse(req.body).requests.length; }).should.eql([3, 2]);
+        _.pluck(contents, 'params').should.eql(['query=a', 'query=b', 'query=c', 'query=d', 'query=e']);
+        done();
+      }).then(null, done);
+    }, 5);
+  });
+
+  it('should give each search its own error', function (done) {
+    var client = coalesceClient(true);
+    var answers = [];
+    var answer = function (error, content) {
+      answers.push(error ? error.name : content.index);
+      if (answers.length === 2) {
+        answers.sort().should.eql(['NotFoundError', 'cities']);
+        _.pluck(client.sent, 'path').should.eql(['/1/indexes/*/queries', '/1/indexes/cities/query', '/1/indexes/missing/query']);
+        done();
+      }
+    };
+    client.initIndex('cities').search('paris', answer);
+    client.initIndex('missing').search('paris', answer);
+  });
+
+  it('should send the identical searches once and skip the cached ones', function (done) {
+    var client = coalesceClient(true, { cache: true });
+    var index = client.initIndex('cities');
+    Promise.all([index.search('paris'), index.search('paris'), index.search('rome')]).then(function (contents) {
+      client.sent.should.have.length(1);
+      JSON.parse(client.sent[0].body).requests.should.have.length(2);
+      contents[1].should.eql(contents[0]);
+      contents[1].should.not.equal(contents[0]);
+      return Promise.all([index.search('paris'), index.search('rome'), index.search('lyon')]);
+    }).then(function (contents) {
+      _.pluck(contents, 'params').should.eql(['query=paris', 'query=rome', 'query=lyon']);
+      _.pluck(client.sent, 'path').should.eql(['/1/indexes/*/queries', '/1/indexes/cities/query']);
+      return index.search('lyon');
+    }).then(function () {
+      client.sent.should.have.length(2);
+      done();
+    }).then(null, done);
+  });
+
+  it('should give the other errors to all the searches', function (done) {
+    var client = mockedClient(function () {
+      return { statusCode: 429, json: { message: 'Too many requests' } };
+    }, { coalesce: true, retry: { maxAttempts: 1 } });
+    var errors = [];
+    var answer = function (error) {
+      errors.push(error.statusCode);
+      if (errors.length === 2) {
+        errors.should.eql([429, 429]);
+        client.sent.should.have.length(1);
+        done();
+      }
+    };
+    client.initIndex('cities').search('paris', answer);
+    client.initIndex('countries').search('france', answer);
+  });
+
+  it('should leave out the aborted searches', function (done) {
+    var client = coalesceClient(true);
+    var index = client.initIndex('cities');
+    var aborted = index.search('paris', function (error) {
+      error.should.be.an.instanceOf(Algolia.AbortError);
+    });
+    index.search('rome', function (error, content) {
+      error.should.eql(false);
+      content.should.have.property('params', 'query=rome');
+      client.sent.should.have.length(1);
+      client.sent[0].path.should.eql('/1/indexes/cities/query');
+      done();
+    });
+    aborted.abort();
+  });
+});
@@ -0,0 +1,107 @@
+var should = require('should'),
+    http = require('http'),
+    zlib = require('zlib'),
+    mockedClient = require('./mocks/client');
+
+describe('Algolia Compression', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  // server gzipping its answers, received holds the last request with its decompressed body
+  var server, host, received;
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      var chunks = [];
+      req.on('data', function (chunk) { chunks.push(chunk); });
+      req.on('end', function () {
+        var raw = Buffer.concat(chunks);
+        received = { headers: req.headers, length: raw.length };
+        received.body = req.headers['content-encoding'] === 'gzip' ? zlib.gunzipSync(raw).toString('utf8') : raw.toString('utf8');
+        var answer = JSON.stringify({ hits: [{ name: 'Paris' }], received: received.body.length });
+        if (/gzip/.test(req.headers['accept-encoding'] || '')) {
+          res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8', 'Content-Encoding': 'gzip' });
+          res.end(zlib.gzipSync(answer));
+        } else {
+          res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+          res.end(answer);
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', function () {
+      host = '127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after(function () {
+    server.close();
+  });
+
+  function client(compression) {
+    return new Algolia('ApplicationID', 'API-Key', undefined, [host], { transport: new Algolia.HttpTransport(), compression: compression });
+  }
+
+  it('should ask for and decompress gzip answers', function (done) {
+    client().initIndex('cities').search('paris', function (error, content) {
+      error.should.eql(false);
+      received.headers.should.have.property('accept-encoding', 'gzip, deflate');
+      should.not.exist(received.headers['content-encoding']);
+      content.hits[0].should.have.property('name', 'Paris');
+      done();
+    });
+  });
+
+  it('should not ask for compressed answers when disabled', function (done) {
+    client({ responses: false }).listIndexes(function (error, content) {
+      error.should.eql(false);
+      should.not.exist(received.headers['accept-encoding']);
+      content.hits[0].should.have.property('name', 'Paris');
+      done();
+    });
+  });
+
+  it('should gzip the request bodies larger than the threshold', function (done) {
+    var objects = [];
+    for (var i = 0; i < 100; ++i) {
+      objects.push({ objectID: String(i), name: 'City ' + i });
+    }
+    client({ requestThreshold: 1024 }).initIndex('cities').saveObjects(objects, function (error, content) {
+      error.should.eql(false);
+      received.headers.should.have.property('content-encoding', 'gzip');
+      received.headers.should.have.property('content-length', String(received.length));
+      received.length.should.be.below(received.body.length);
+      JSON.parse(received.body).requests.should.have.length(100);
+      done();
+    });
+  });
+
+  it('should send the request bodies smaller than the threshold as is', function (done) {
+    client({ requestThreshold: 1024 }).initIndex('cities').search('paris', function (error) {
+      error.should.eql(false);
+      should.not.exist(received.headers['content-encoding']);
+      received.body.should.eql('{"params":"query=paris"}');
+      done();
+    });
+  });
+
+  it('should decompress deflate answers given by a transport', function (done) {
+    var client = mockedClient(function () {
+      return { statusCode: 200, headers: { 'content-type': 'application/json', 'content-encoding': 'deflate' }, body: zlib.deflateSync('{"items":[]}') };
+    });
+    client.listIndexes(function (error, content) {
+      error.should.eql(false);
+      content.should.eql({ items: [] });
+      done();
+    });
+  });
+
+  it('should retry corrupted compressed answers', function (done) {
+    var client = mockedClient(function () {
+      return { statusCode: 200, headers: { 'content-type': 'application/json', 'content-encoding': 'gzip' }, body: Buffer.from('not gzip') };
+    });
+    client.listIndexes(function (error) {
+      error.should.be.an.instanceOf(Algolia.NetworkError);
+      client.sent.should.have.length(3);
+      done();
+    });
+  });
+});
@@ -0,0 +1,85 @@
+var should = require('should'),
+    _ = require('underscore');
+
+describe('Algolia Constructor', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  it('should accept an options object', function (done) {
+    var sent = [];
+    var agent = {};
+    var client = new Algolia({
+      appId: 'ApplicationID',
+      apiKey: 'API-Key',
+      hosts: ['host-1', 'host-2'],
+      readHosts: ['read-1'],
+      agent: agent,
+      timeouts: { connect: 500 },
+      headers: { 'X-Custom': 'value' },
+      retry: { maxAttempts: 2 },
+      transport: new Algolia.MemoryTransport(function (req) {
+        sent.push(req);
+        return { statusCode: 200, json: {} };
+      })
+    });
+    client.applicationID.should.eql('ApplicationID');
+    client.readHosts.should.eql(['read-1']);
+    client.writeHosts.sort().should.eql(['host-1', 'host-2']);
+    client.httpsAgent.should.equal(agent);
+    client.timeouts.should.eql({ connect: 500, read: 30000 });
+    client.retry.maxAttempts.should.eql(2);
+    client.initIndex('cities').getObject('1', function (error) {
+      error.should.eql(false);
+      sent[0].hostname.should.eql('read-1');
+      sent[0].headers.should.have.property('X-Custom', 'value');
+      sent[0].headers.should.have.property('X-Algolia-API-Key', 'API-Key');
+      done();
+    });
+  });
+
+  it('should choose the transport from the protocol', function () {
+    new Algolia({ appId: 'ApplicationID', apiKey: 'API-Key', protocol: 'http' }).transport.should.be.an.instanceOf(Algolia.HttpTransport);
+    new Algolia({ appId: 'ApplicationID', apiKey: 'API-Key' }).transport.should.be.an.instanceOf(Algolia.HttpsTransport);
+  });
+
+  it('should keep the positional signature', function () {
+    var client = new Algolia('ApplicationID', 'API-Key', undefined, ['host-1'], { headers: { 'X-Custom': 'value' } });
+    client.writeHosts.should.eql(['host-1']);
+    client.requestHeaders.should.eql({ 'X-Custom': 'value' });
+    var noAgent = new Algolia('ApplicationID', 'API-Key', false);
+    noAgent.httpsAgent.should.eql(false);
+    should.not.exist(noAgent.transport.agent);
+  });
+
+  it('should throw a ConfigurationError on invalid options', function () {
+    var invalid = [
+      [{ apiKey: 'API-Key' }, /^Invalid appId: expected the application ID of your account, got undefined$/],
+      [{ appId: 'My App', apiKey: 'API-Key' }, /^Invalid appId: .*, got "My App"$/],
+      [{ appId: 'ApplicationID', apiKey: '' }, /^Invalid apiKey: expected a non-empty string, got ""$/],
+      [{ appId: 'ApplicationID', apiKey: 'API-Key', hosts: [] }, /^Invalid hosts: /],
+      [{ appId: 'ApplicationID', apiKey: 'API-Key', readHosts: ['https://host-1'] }, /^Invalid readHosts: .*, got \["https:\/\/host-1"\]$/],
+      [{ appId: 'ApplicationID', apiKey: 'API-Key', agent: 'keep-alive' }, /^Invalid agent: /],
+      [{ appId: 'ApplicationID', apiKey: 'API-Key', timeouts: { connect: -1 } }, /^Invalid timeouts.connect: expected a positive number of ms, got -1$/],
+      [{ appId: 'ApplicationID', apiKey: 'API-Key', timeouts: { conect: 1000 } }, /^Invalid timeouts: /],
+      [{ appId: 'ApplicationID', apiKey: 'API-Key', protocol: 'ftp' }, /^Invalid protocol: expected 'https' or 'http', got "ftp"$/],
+      [{ appId: 'ApplicationID', apiKey: 'API-Key', headers: { 'X-Count': 1 } }, /^Invalid headers.X-Count: expected a string/],
+      [{ appId: 'ApplicationID', apiKey: 'API-Key', retry: { maxAttempts: 1.5 } }, /^Invalid retry.maxAttempts: /],
+      [{ applicationID: 'ApplicationID', apiKey: 'API-Key' }, /^Unknown option applicationID, the options are appId, apiKey, /]
+    ];
+    _.each(invalid, function (test) {
+      try {
+        var client = new Algolia(test[0]);
+      } catch (e) {
+        e.should.be.an.instanceOf(Algolia.ConfigurationError);
+        e.message.should.match(test[1]);
+        return;
+      }
+      should.fail('no error thrown for ' + JSON.stringify(test[0]));
+    });
+    (function () {
+      return new Algolia(undefined, 'API-Key');
+    }).should.throw(/^Invalid appId/);
+    (function () {
+      return new Algolia('ApplicationID', 'API-Key', undefined, undefined, { timeout: 1000 });
+    }).should.throw(/^Unknown option timeout/);
+  });
+});
@@ -0,0 +1,118 @@
+var should = require('should'),
+    _ = require('underscore'),
+    mockedClient = require('./mocks/client');
+
+describe('Algolia Deduplication', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  // answer after 10ms with the number of requests received, client.sent lists them
+  function dedupeClient(options) {
+    var client = mockedClient(function (req, callback) {
+      var n = client.sent.length;
+      setTimeout(function () {
+        callback(null, { statusCode: 200, json: { taskID: n, hits: [{ objectID: String(n) }] } });
+      }, 10);
+    }, options);
+    return client;
+  }
+
+  it('should send the identical reads in progress once', function (done) {
+    var client = dedupeClient();
+    var index = client.initIndex('cities');
+    Promise.all([
+      index.search('paris', { hitsPerPage: 5 }),
+      index.search('paris', { hitsPerPage: 5 }),
+      client.withOptions({}).initIndex('cities').search('paris', { hitsPerPage: 5 }),
+      index.search('paris', { hitsPerPage: 10 })
+    ]).then(function (contents) {
+      client.sent.should.have.length(2);
+      contents[0].should.eql({ taskID: 1, hits: [{ objectID: '1' }] });
+      contents[1].should.eql(contents[0]);
+      contents[2].should.eql(contents[0]);
+      contents[1].should.not.equal(contents[0]);
+      contents[3].hits[0].objectID.should.eql('2');
+      return index.search('paris', { hitsPerPage: 5 });
+    }).then(function (content) {
+      client.sent.should.have.length(3);
+      content.hits[0].objectID.should.eql('3');
+      done();
+    }).then(null, done);
+  });
+
+  it('should share the gets and the multiple queries', function (done) {
+    var client = dedupeClient();
+    var index = client.initIndex('cities');
+    var queries = function () {
+      return [{ indexName: 'cities', query: 'paris' }];
+    };
+    Promise.all([
+      index.getObject('42'),
+      index.getObject('42'),
+      client.multipleQueries(queries(), 'indexName'),
+      client.multipleQueries(queries(), 'indexName')
+    ]).then(function () {
+      _.pluck(client.sent, 'path').should.eql(['/1/indexes/cities/42', '/1/indexes/*/queries']);
+      done();
+    }).then(null, done);
+  });
+
+  it('should send each write', function (done) {
+    var client = dedupeClient();
+    var index = client.initIndex('cities');
+    Promise.all([
+      index.saveObject({ objectID: '42', name: 'Paris' }),
+      index.saveObject({ objectID: '42', name: 'Paris' })
+    ]).then(function () {
+      client.sent.should.have.length(2);
+      done();
+    }).then(null, done);
+  });
+
+  it('should not share the reads started before a write', function (done) {
+    var client = dedupeClient();
+    var index = client.initIndex('cities');
+    var before = index.search('paris');
+    index.saveObject({ objectID: '42', name: 'Paris' }).then(function () {
+      return Promise.all([before, index.search('paris')]);
+    }).then(function (contents) {
+      client.sent.should.have.length(3);
+      contents[1].hits[0].objectID.should.eql('3');
+      done();
+    }).then(null, done);
+  });
+
+  it('should not share the reads when disabled', function (done) {
+    var client = dedupeClient({ dedupe: false });
+    var index = client.initIndex('cities');
+    Promise.all([index.search('paris'), index.search('paris')]).then(function () {
+      client.sent.should.have.length(2);
+      done();
+    }).then(null, done);
+  });
+
+  it('should only stop the shared request once all the callers aborted', function (done) {
+    var client = dedupeClient();
+    var index = client.initIndex('cities');
+    var first = index.search('paris', function (error) {
+      error.should.be.an.instanceOf(Algolia.AbortError);
+    });
+    var second = index.search('paris', function (error, content) {
+      error.should.eql(false);
+      content.hits[0].objectID.should.eql('1');
+      var third = index.search('paris', function (error) {
+        error.should.be.an.instanceOf(Algolia.AbortError);
+        setTimeout(function () {
+          client.sent.should.have.length(2);
+          _.keys(client.inflightRequests).should.have.length(0);
+          index.search('paris', function (error, content) {
+            error.should.eql(false);
+            content.hits[0].objectID.should.eql('3');
+            done();
+          });
+        }, 20);
+      });
+      third.abort();
+    });
+    first.abort();
+  });
+});
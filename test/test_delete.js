@@ -2,7 +2,7 @@ var should = require('should'),
     moquire = require('moquire');
 
 
-describe('Algolia Delete', function () {
+(process.env.ALGOLIA_APPLICATION_ID ? describe : describe.skip)('Algolia Delete', function () {
   var Algolia = require('../src/algoliasearch-node');
   function safe_index_name(name) {
     if (!process.env.TRAVIS)
@@ -17,7 +17,10 @@ describe('Algolia Delete', function () {
     done();
   });
 
-  var client = new Algolia(process.env.ALGOLIA_APPLICATION_ID, process.env.ALGOLIA_API_KEY);
+  var client;
+  before(function () {
+    client = new Algolia(process.env.ALGOLIA_APPLICATION_ID, process.env.ALGOLIA_API_KEY);
+  });
 
   it('should be able to delete', function (done) {
     var index = client.initIndex(safe_index_name('àlgol?à-node'));
@@ -53,7 +56,7 @@ it('should be able to delete with error', function (done) {
         index.waitTask(content.taskID, function(error, content) {
           error.should.eql(false);
           index.deleteObject(null, function(error, content) {
-            error.should.eql(true);
+            error.should.be.an.instanceOf(Algolia.InvalidRequestError);
             index.search('san f', function(error, content) {
               error.should.eql(false);
               content.should.have.property('hits').length(1);
@@ -76,7 +79,7 @@ it('should be able to delete "" with error', function (done) {
         index.waitTask(content.taskID, function(error, content) {
           error.should.eql(false);
           index.deleteObject("", function(error, content) {
-            error.should.eql(true);
+            error.should.be.an.instanceOf(Algolia.InvalidRequestError);
             index.search('san f', function(error, content) {
               error.should.eql(false);
               content.should.have.property('hits').length(1);
@@ -99,7 +102,7 @@ it('should be able to delete [] with error', function (done) {
         index.waitTask(content.taskID, function(error, content) {
           error.should.eql(false);
           index.deleteObject([], function(error, content) {
-            error.should.eql(true);
+            error.should.be.an.instanceOf(Algolia.InvalidRequestError);
             index.search('san f', function(error, content) {
               error.should.eql(false);
               content.should.have.property('hits').length(1);
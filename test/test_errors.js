@@ -0,0 +1,83 @@
+var should = require('should'),
+    mockedClient = require('./mocks/client');
+
+describe('Algolia Errors', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  it('should give false as error on success', function (done) {
+    var client = mockedClient([{ statusCode: 200, json: { items: [] } }]);
+    client.listIndexes(function (error, content) {
+      error.should.eql(false);
+      content.should.eql({ items: [] });
+      done();
+    });
+  });
+
+  var finalErrors = [
+    [400, 'InvalidRequestError'],
+    [403, 'AuthError'],
+    [404, 'NotFoundError']
+  ];
+  finalErrors.forEach(function (test) {
+    it('should give a ' + test[1] + ' on HTTP ' + test[0] + ' without trying other hosts', function (done) {
+      var client = mockedClient([{ statusCode: test[0], json: { message: 'Failure ' + test[0] } }]);
+      client.initIndex('cities').getSettings(function (error, content) {
+        error.should.be.an.instanceOf(Algolia[test[1]]);
+        error.should.be.an.instanceOf(Algolia.AlgoliaError);
+        error.should.be.an.instanceOf(Error);
+        error.should.have.property('name', test[1]);
+        error.should.have.property('message', 'Failure ' + test[0]);
+        error.should.have.property('statusCode', test[0]);
+        error.should.have.property('retryable', false);
+        error.should.have.property('host', 'host-1');
+        error.hosts.should.eql(['host-1']);
+        error.should.have.property('method', 'GET');
+        error.should.have.property('path', '/1/indexes/cities/settings');
+        content.should.eql({ message: 'Failure ' + test[0] });
+        done();
+      });
+    });
+  });
+
+  it('should list every host tried when all of them fail', function (done) {
+    var client = mockedClient([
+      { statusCode: 500, json: { message: 'Fail 1' } },
+      { statusCode: 503, json: { message: 'Fail 2' } },
+      { statusCode: 502, json: { message: 'Fail 3' } }
+    ]);
+    client.initIndex('cities').search('foo').then(null, function (error) {
+      error.should.be.an.instanceOf(Algolia.AlgoliaError);
+      error.should.have.property('name', 'AlgoliaError');
+      error.should.have.property('message', 'Fail 3');
+      error.should.have.property('statusCode', 502);
+      error.should.have.property('retryable', true);
+      error.should.have.property('host', 'host-3');
+      error.hosts.should.eql(['host-1', 'host-2', 'host-3']);
+      error.content.should.eql({ message: 'Fail 3' });
+      done();
+    }).then(null, done);
+  });
+
+  it('should give a NetworkError when the host cannot be reached', function (done) {
+    var client = new Algolia('ApplicationID', 'API-Key', undefined, ['127.0.0.1:1']);
+    client.listIndexes(function (error, content) {
+      error.should.be.an.instanceOf(Algolia.NetworkError);
+      error.should.have.property('retryable', true);
+      error.should.have.property('host', '127.0.0.1:1');
+      error.hosts.should.eql(['127.0.0.1:1']);
+      should.not.exist(error.statusCode);
+      should.exist(error.cause);
+      content.should.have.property('message', error.message);
+      done();
+    });
+  });
+
+  it('should give an InvalidRequestError when deleting an empty objectID', function (done) {
+    var client = mockedClient([]);
+    client.initIndex('cities').deleteObject(null, function (error, content) {
+      error.should.be.an.instanceOf(Algolia.InvalidRequestError);
+      content.should.have.property('message', 'empty objectID');
+      done();
+    });
+  });
+});
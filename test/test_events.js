@@ -0,0 +1,120 @@
+var should = require('should'),
+    _ = require('underscore'),
+    mockedClient = require('./mocks/client');
+
+describe('Algolia Events', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  // hosts listed in `down` answer with a 503, client.events lists the events emitted
+  function eventsClient(down) {
+    var client = mockedClient(function (req) {
+      if (down.indexOf(req.hostname) !== -1) {
+        return { statusCode: 503, json: { message: 'Service Unavailable' } };
+      }
+      return { statusCode: 200, json: { taskID: 1, status: 'published', hits: [] } };
+    }, { hostCooldown: 0, hosts: ['host-1', 'host-2'] });
+    client.events = [];
+    _.each(['request', 'response', 'retry', 'hostDown', 'hostUp'], function (name) {
+      client.on(name, function (data) {
+        client.events.push([name, data]);
+      });
+    });
+    return client;
+  }
+
+  it('should emit the request and response events with the operation name', function (done) {
+    var client = eventsClient([]);
+    client.initIndex('cities').search('paris', function (error) {
+      error.should.eql(false);
+      _.pluck(client.events, 0).should.eql(['request', 'response']);
+      client.events[0][1].should.eql({ operation: 'search', method: 'POST', path: '/1/indexes/cities/query', host: 'host-1', attempt: 1, size: 24 });
+      var response = client.events[1][1];
+      response.should.have.property('operation', 'search');
+      response.should.have.property('host', 'host-1');
+      response.should.have.property('statusCode', 200);
+      response.should.have.property('size', JSON.stringify({ taskID: 1, status: 'published', hits: [] }).length);
+      response.latency.should.be.a('number');
+      should.not.exist(response.error);
+      done();
+    });
+  });
+
+  it('should name the operations', function (done) {
+    var client = eventsClient([]);
+    var index = client.initIndex('cities');
+    index.addObjects([{ name: 'Paris' }]).then(function () {
+      return index.waitTask(1);
+    }).then(function () {
+      return index.getObject('42');
+    }).then(function () {
+      return client.getUserKeyACL('key');
+    }).then(function () {
+      _.pluck(_.pluck(_.filter(client.events, function (e) { return e[0] === 'request'; }), 1), 'operation')
+        .should.eql(['batch', 'waitTask', 'getObject', 'getUserKeyACL']);
+      done();
+    }).then(null, done);
+  });
+
+  it('should emit the retry and host events', function (done) {
+    var down = ['host-1'];
+    var client = eventsClient(down);
+    client.listIndexes(function (error) {
+      error.should.eql(false);
+      _.pluck(client.events, 0).should.eql(['request', 'response', 'hostDown', 'retry', 'request', 'response']);
+      client.events[1][1].should.have.property('statusCode', 503);
+      client.events[1][1].error.should.be.an.instanceOf(Algolia.AlgoliaError);
+      client.events[2][1].should.have.property('host', 'host-1');
+      client.events[2][1].should.have.property('failures', 1);
+      client.events[3][1].should.have.property('nextHost', 'host-2');
+      client.events[3][1].should.have.property('attempt', 2);
+      client.events[3][1].should.have.property('delay', 0);
+      down.pop();
+      client.events = [];
+      client.listIndexes(function (error) {
+        error.should.eql(false);
+        _.pluck(client.events, 0).should.eql(['request', 'response', 'hostUp']);
+        client.events[2][1].should.eql({ host: 'host-1' });
+        done();
+      });
+    });
+  });
+
+  it('should share the listeners with the derived clients and ignore their errors', function (done) {
+    var client = eventsClient([]);
+    client.on('request', function () {
+      throw new Error('broken listener');
+    });
+    client.withOptions({ userToken: 'alice' }).listIndexes(function (error) {
+      error.should.eql(false);
+      _.pluck(client.events, 0).should.eql(['request', 'response']);
+      done();
+    });
+  });
+
+  it('should be an EventEmitter and tell the derived clients apart', function (done) {
+    var client = eventsClient([]);
+    var alice = client.withOptions({ userToken: 'alice' });
+    var aliceEvents = [], once = 0;
+    client.should.be.an.instanceOf(require('events').EventEmitter);
+    client.once('response', function () { once++; });
+    alice.on('response', function (event) { aliceEvents.push(event.operation); });
+    alice.listIndexes(function () {
+      client.listIndexes(function () {
+        once.should.eql(1);
+        aliceEvents.should.eql(['listIndexes']);
+        _.filter(client.events, function (event) { return event[0] === 'response'; }).should.have.length(2);
+        done();
+      });
+    });
+  });
+
+  it('should remove the listeners', function (done) {
+    var client = eventsClient([]), calls = 0;
+    var listener = function () { calls++; };
+    client.on('response', listener).removeListener('response', listener);
+    client.listIndexes(function () {
+      calls.should.eql(0);
+      done();
+    });
+  });
+});
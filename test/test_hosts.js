@@ -0,0 +1,130 @@
+var should = require('should'),
+    _ = require('underscore'),
+    mockedClient = require('./mocks/client');
+
+describe('Algolia Hosts', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  // hosts listed in `down` answer with a 503, the other ones with a 200
+  function hostsClient(down, options) {
+    return mockedClient(function (req) {
+      if (down.indexOf(req.hostname) !== -1) {
+        return { statusCode: 503, json: { message: 'Service Unavailable' } };
+      }
+      return { statusCode: 200, json: {} };
+    }, options);
+  }
+
+  it('should skip a host that recently failed', function (done) {
+    var client = hostsClient(['host-1']);
+    client.listIndexes(function (error) {
+      error.should.eql(false);
+      client.tried.should.eql(['host-1', 'host-2']);
+      client.tried = [];
+      client.listIndexes(function (error) {
+        error.should.eql(false);
+        client.tried.should.eql(['host-2']);
+        done();
+      });
+    });
+  });
+
+  it('should try failed hosts again after the cool-down', function (done) {
+    var client = hostsClient(['host-1'], { hostCooldown: 20 });
+    client.listIndexes(function (error) {
+      client.tried.should.eql(['host-1', 'host-2']);
+      client.tried = [];
+      setTimeout(function () {
+        client.listIndexes(function (error) {
+          client.tried.should.eql(['host-1', 'host-2']);
+          done();
+        });
+      }, 30);
+    });
+  });
+
+  it('should try failed hosts as a last resort', function (done) {
+    var client = hostsClient(['host-1', 'host-2', 'host-3']);
+    client.listIndexes(function (error) {
+      error.should.be.an.instanceOf(Algolia.AlgoliaError);
+      client.tried = [];
+      client.listIndexes(function (error) {
+        error.should.be.an.instanceOf(Algolia.AlgoliaError);
+        client.tried.should.eql(['host-1', 'host-2', 'host-3']);
+        done();
+      });
+    });
+  });
+
+  it('should expose the host states', function (done) {
+    var client = hostsClient(['host-1']);
+    client.listIndexes(function () {
+      var states = client.getHostStates();
+      _.pluck(states, 'host').should.eql(['host-2', 'host-3', 'host-1']);
+      _.pluck(states, 'up').should.eql([true, true, false]);
+      states[0].failures.should.eql(0);
+      states[0].lastSuccess.should.be.a('number');
+      should.not.exist(states[1].lastSuccess);
+      states[2].failures.should.eql(1);
+      states[2].lastFailure.should.be.a('number');
+      states[2].lastError.should.eql('Service Unavailable');
+      done();
+    });
+  });
+
+  it('should use the -dsn host first for the reads by default', function () {
+    var client = new Algolia('ApplicationID', 'API-Key');
+    client.readHosts.should.have.length(4);
+    client.readHosts[0].should.eql('ApplicationID-dsn.algolia.net');
+    client.readHosts.slice(1).should.eql(client.writeHosts);
+    client.writeHosts.slice(0).sort().should.eql(['ApplicationID-1.algolia.net', 'ApplicationID-2.algolia.net', 'ApplicationID-3.algolia.net']);
+  });
+
+  it('should use the same hosts for reads and writes when given to the constructor', function () {
+    var client = new Algolia('ApplicationID', 'API-Key', undefined, ['host-1', 'host-2']);
+    client.readHosts.should.eql(client.writeHosts);
+  });
+
+  it('should send the reads and the writes to their own hosts', function (done) {
+    var client = mockedClient(function (req) {
+      return req.hostname === 'read-1' ? { statusCode: 500, json: { message: 'Fail' } } :
+                                         { statusCode: 200, json: { taskID: 1, status: 'published', results: [] } };
+    }, { hosts: null, readHosts: ['read-1', 'read-2'], writeHosts: ['write-1', 'write-2'] });
+    var index = client.initIndex('cities');
+    index.search('paris').then(function () {
+      return client.multipleQueries([{ indexName: 'cities', query: 'paris' }]);
+    }).then(function () {
+      return index.browse(0);
+    }).then(function () {
+      return index.getObject('1');
+    }).then(function () {
+      client.tried.should.eql(['read-1', 'read-2', 'read-2', 'read-2', 'read-2']);
+      client.tried = [];
+      return index.addObjects([{ name: 'Paris' }]);
+    }).then(function () {
+      return index.setSettings({ customRanking: ['desc(population)'] });
+    }).then(function () {
+      return client.deleteIndex('cities');
+    }).then(function () {
+      return index.getSettings();
+    }).then(function () {
+      return client.listUserKeys();
+    }).then(function () {
+      return index.waitTask(1);
+    }).then(function () {
+      client.tried.should.eql(['write-1', 'write-1', 'write-1', 'write-1', 'write-1', 'write-1']);
+      _.pluck(client.getHostStates('read'), 'host').should.eql(['read-2', 'read-1']);
+      _.pluck(client.getHostStates('write'), 'host').should.eql(['write-1', 'write-2']);
+      _.pluck(client.getHostStates(), 'host').should.eql(['read-2', 'read-1', 'write-1', 'write-2']);
+      done();
+    }).then(null, done);
+  });
+
+  it('should keep client.hosts as an alias of the hosts', function () {
+    var client = new Algolia('ApplicationID', 'API-Key');
+    client.hosts.should.equal(client.writeHosts);
+    client.hosts = ['host-1', 'host-2'];
+    client.readHosts.should.eql(['host-1', 'host-2']);
+    client.writeHosts.should.eql(['host-1', 'host-2']);
+  });
+});
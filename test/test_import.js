@@ -0,0 +1,132 @@
+var should = require('should'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    _ = require('underscore'),
+    batchClient = require('./mocks/batch');
+
+describe('Algolia Import', function () {
+  var Algolia = require('../src/algoliasearch-node');
+  var contacts = path.join(__dirname, '..', 'contacts.json');
+
+  var files = [];
+  function tmpFile(name, text) {
+    var file = path.join(os.tmpdir(), 'algolia-import-' + process.pid + '-' + name);
+    fs.writeFileSync(file, text);
+    files.push(file);
+    return file;
+  }
+
+  after(function () {
+    _.each(files, function (file) {
+      fs.unlinkSync(file);
+    });
+  });
+
+  it('should import a JSON array in batches', function (done) {
+    var client = batchClient({ maxObjects: 100, concurrency: 2 });
+    var progress = [];
+    client.initIndex('contacts').importFile(contacts, { progress: function (p) { progress.push(p); } }, function (error, content) {
+      error.should.eql(false);
+      var expected = JSON.parse(fs.readFileSync(contacts, 'utf8'));
+      var sent = _.flatten(client.batches, true);
+      _.map(client.batches, function (requests) { return requests.length; }).should.eql([100, 100, 100, 100, 100]);
+      _.pluck(sent, 'body').should.eql(expected);
+      sent[0].should.have.property('action', 'addObject');
+      content.records.should.eql(expected.length);
+      content.taskIDs.should.have.length(5);
+      content.taskID.should.eql(104);
+      progress.should.have.length(5);
+      progress[4].should.have.property('accepted', expected.length);
+      progress[4].should.have.property('bytesRead', fs.statSync(contacts).size);
+      progress[4].should.have.property('totalBytes', fs.statSync(contacts).size);
+      done();
+    });
+  });
+
+  it('should pause the reading while the batches wait to be sent', function (done) {
+    var client = batchClient({ maxObjects: 100, concurrency: 1 });
+    var text = new Array(100).join('x');
+    var file = tmpFile('large.ndjson', _.map(_.range(3000), function (i) { return JSON.stringify({ objectID: String(i), text: text }); }).join('\n'));
+    var maxRead = 0;
+    client.initIndex('contacts').importFile(file, { progress: function (p) {
+      // records read but not yet answered
+      maxRead = Math.max(maxRead, p.records - p.accepted);
+    } }).then(function (content) {
+      content.records.should.eql(3000);
+      client.batches[0][0].should.eql({ action: 'addObject', body: { objectID: '0', text: text }, objectID: '0' });
+      // a read of the file gives at most 64KB, about 500 records
+      maxRead.should.be.below(1000);
+      done();
+    }).then(null, done);
+  });
+
+  it('should import NDJSON with the given action', function (done) {
+    var client = batchClient();
+    var file = tmpFile('contacts.jsonl', '{"objectID":"1","name":"Essie"}\n\n{"objectID":"2","name":"Cruz"}\n');
+    client.initIndex('contacts').importFile(file, { action: 'partialUpdateObject' }).then(function (content) {
+      content.should.eql({ records: 2, taskIDs: [100], taskID: 100 });
+      client.batches[0].should.eql([
+        { action: 'partialUpdateObject', body: { objectID: '1', name: 'Essie' }, objectID: '1' },
+        { action: 'partialUpdateObject', body: { objectID: '2', name: 'Cruz' }, objectID: '2' }
+      ]);
+      done();
+    }).then(null, done);
+  });
+
+  it('should import CSV with typed columns', function (done) {
+    var client = batchClient();
+    var file = tmpFile('contacts.csv', 'objectID;name;followers;vip;tags\r\n' +
+                                       '1;"Vaill; Essie";3574;yes;"[""a"",""b""]"\r\n' +
+                                       '2;"Roudabush\nCruz";;no;[]\r\n');
+    var columns = { followers: 'number', vip: 'boolean', tags: 'json' };
+    client.initIndex('contacts').importFile(file, { delimiter: ';', columns: columns }).then(function () {
+      _.pluck(client.batches[0], 'body').should.eql([
+        { objectID: '1', name: 'Vaill; Essie', followers: 3574, vip: true, tags: ['a', 'b'] },
+        { objectID: '2', name: 'Roudabush\nCruz', followers: null, vip: false, tags: [] }
+      ]);
+      done();
+    }).then(null, done);
+  });
+
+  it('should give the line of the parse errors', function (done) {
+    var client = batchClient();
+    var file = tmpFile('invalid.csv', 'objectID,name\n1,Essie\n2,Cruz,extra\n');
+    client.initIndex('contacts').importFile(file, function (error) {
+      error.should.be.an.instanceOf(Algolia.AlgoliaError);
+      error.message.should.match(/^Invalid csv file .*: Found 3 values, expected 2 \(line 3\)$/);
+      error.line.should.eql(3);
+      var json = tmpFile('invalid.json', '[{"objectID": "1"},\n{"objectID": 2,}]');
+      client.initIndex('contacts').importFile(json, function (error) {
+        error.message.should.match(/^Invalid json file .*: Invalid JSON in object 2: .* \(line 2\)$/);
+        done();
+      });
+    });
+  });
+
+  it('should report the missing files and the unknown formats', function (done) {
+    var index = batchClient().initIndex('contacts');
+    index.importFile('/nonexistent/contacts.json', function (error) {
+      error.message.should.match(/^Cannot read \/nonexistent\/contacts.json: /);
+      error.code.should.eql('ENOENT');
+      index.importFile('contacts.xml').then(null, function (error) {
+        error.message.should.eql('Unknown format of contacts.xml, set the format option to json, ndjson or csv');
+        done();
+      });
+    });
+  });
+
+  it('should report the batches that were not accepted', function (done) {
+    var client = batchClient({ maxObjects: 2 });
+    var file = tmpFile('failed.ndjson', '{"n":1}\n{"n":2}\n{"n":3,"fail":true}\n');
+    var progress;
+    client.initIndex('contacts').importFile(file, { progress: function (p) { progress = p; } }, function (error, content) {
+      error.should.be.an.instanceOf(Algolia.BatchError);
+      error.message.should.eql('1 of 2 chunks failed, 1 of 3 objects were not accepted: Invalid object');
+      content.records.should.eql(3);
+      content.taskIDs.should.eql([100]);
+      progress.should.have.property('rejected', 1);
+      done();
+    });
+  });
+});
@@ -2,7 +2,7 @@ var should = require('should'),
     moquire = require('moquire');
 
 
-describe('Algolia Index', function () {
+(process.env.ALGOLIA_APPLICATION_ID ? describe : describe.skip)('Algolia Index', function () {
   var Algolia = require('../src/algoliasearch-node');
   function safe_index_name(name) {
     if (!process.env.TRAVIS)
@@ -16,7 +16,10 @@ describe('Algolia Index', function () {
     done();
   });
 
-  var client = new Algolia(process.env.ALGOLIA_APPLICATION_ID, process.env.ALGOLIA_API_KEY);
+  var client;
+  before(function () {
+    client = new Algolia(process.env.ALGOLIA_APPLICATION_ID, process.env.ALGOLIA_API_KEY);
+  });
 
   it('should be able to copy an index', function (done) {
     var index = client.initIndex(safe_index_name('àlgol?à-node'));
@@ -30,7 +33,7 @@ describe('Algolia Index', function () {
             index.waitTask(content.taskID, function(error, content) {
               error.should.eql(false);
               client.copyIndex(safe_index_name('àlgol?à-node'), safe_index_name('àlgol?à2-node'), function(error, content) {
-                if (error == true)
+                if (error)
                   {console.log(content.message)}
                 error.should.eql(false);
                 should.exist(content.taskID);
@@ -65,7 +68,7 @@ describe('Algolia Index', function () {
             index.waitTask(content.taskID, function(error, content) {
               error.should.eql(false);
               client.moveIndex(safe_index_name('àlgol?à-node'), safe_index_name('àlgol?à2-node'), function(error, content) {
-              if (error == true)
+              if (error)
                   {console.log(content.message)}
                 error.should.eql(false);
                 should.exist(content.taskID);
@@ -76,7 +79,7 @@ describe('Algolia Index', function () {
                     content.should.have.property('hits').length(1);
                     content.hits[0].should.have.property('name', 'San Francisco');
                     index.search('', function(error, content) {
-                      error.should.eql(true);
+                      error.should.be.an.instanceOf(Algolia.NotFoundError);
                       client.deleteIndex(safe_index_name('àlgol?à2-node'));
                       done();
                     });
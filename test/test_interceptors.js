@@ -0,0 +1,90 @@
+var should = require('should'),
+    _ = require('underscore'),
+    mockedClient = require('./mocks/client');
+
+describe('Algolia Interceptors', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  it('should let interceptors change the requests', function (done) {
+    var client = mockedClient([{ statusCode: 200, json: { hits: [] } }]);
+    client.addInterceptor({ request: function (req, next) {
+      req.headers['X-Custom'] = 'value';
+      req.hostname = 'proxy-host';
+      req.path = req.path.replace('cities', 'towns');
+      req.body = JSON.stringify(_.extend(JSON.parse(req.body), { extra: true }));
+      next();
+    } });
+    client.initIndex('cities').search('paris', function (error) {
+      error.should.eql(false);
+      client.sent[0].should.have.property('hostname', 'proxy-host');
+      client.sent[0].should.have.property('path', '/1/indexes/towns/query');
+      client.sent[0].headers.should.have.property('X-Custom', 'value');
+      JSON.parse(client.sent[0].body).should.eql({ params: 'query=paris', extra: true });
+      client.requestHeaders.should.not.have.property('X-Custom');
+      done();
+    });
+  });
+
+  it('should let interceptors change the answers', function (done) {
+    var client = mockedClient([{ statusCode: 200, json: { hits: [] } }]);
+    client.addInterceptor({ response: function (res, req, next) {
+      req.path.should.eql('/1/indexes/cities/query');
+      res.statusCode = 404;
+      res.body = JSON.stringify({ message: 'Rewritten' });
+      next();
+    } });
+    client.initIndex('cities').search('paris', function (error, content) {
+      error.should.be.an.instanceOf(Algolia.NotFoundError);
+      content.should.eql({ message: 'Rewritten' });
+      done();
+    });
+  });
+
+  it('should call the interceptors in order and wait for them', function (done) {
+    var client = mockedClient([{ statusCode: 200, json: {} }]), calls = [];
+    client.addInterceptor({ request: function (req, next) {
+      calls.push('first');
+      setTimeout(next, 5);
+    } });
+    client.addInterceptor({ request: function (req, next) {
+      calls.push('second');
+      next();
+    } });
+    client.listIndexes(function (error) {
+      error.should.eql(false);
+      calls.should.eql(['first', 'second']);
+      done();
+    });
+  });
+
+  it('should retry on the next host when an interceptor fails', function (done) {
+    var client = mockedClient([{ statusCode: 200, json: {} }]), attempts = 0;
+    client.addInterceptor({ request: function (req, next) {
+      if (++attempts === 1) {
+        throw new Error('injected failure');
+      }
+      next();
+    } });
+    client.listIndexes(function (error) {
+      error.should.eql(false);
+      _.pluck(client.sent, 'hostname').should.eql(['host-2']);
+      done();
+    });
+  });
+
+  it('should give the interceptor error when all the attempts fail', function (done) {
+    var client = mockedClient([{ statusCode: 200, json: {} }, { statusCode: 200, json: {} }, { statusCode: 200, json: {} }]);
+    var interceptor = { response: function (res, req, next) {
+      next(new Error('injected failure'));
+    } };
+    client.addInterceptor(interceptor);
+    client.listIndexes(function (error) {
+      error.should.be.an.instanceOf(Algolia.NetworkError);
+      error.should.have.property('message', 'injected failure');
+      error.hosts.should.eql(['host-1', 'host-2', 'host-3']);
+      client.removeInterceptor(interceptor);
+      client.interceptors.should.have.length(0);
+      done();
+    });
+  });
+});
@@ -0,0 +1,130 @@
+var should = require('should'),
+    http = require('http'),
+    _ = require('underscore');
+
+describe('Algolia Keep-Alive', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  // server answering with the list of indexes after delay ms, connections counts the connections opened
+  var server, port, connections, delay;
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      setTimeout(function () {
+        res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+        res.end('{"items":[]}');
+      }, delay);
+    });
+    server.on('connection', function () {
+      connections++;
+    });
+    server.listen(0, '127.0.0.1', function () {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  beforeEach(function () {
+    connections = 0;
+    delay = 0;
+  });
+
+  after(function () {
+    server.close();
+  });
+
+  function client(options) {
+    return new Algolia(_.extend({ appId: 'ApplicationID', apiKey: 'API-Key', protocol: 'http', hosts: ['localhost:' + port] }, options));
+  }
+
+  it('should keep the connections open between the requests', function (done) {
+    var c = client();
+    c.transport.agent.should.be.an.instanceOf(http.Agent);
+    c.transport.agent.maxSockets.should.eql(50);
+    c.listIndexes().then(function () {
+      return c.listIndexes();
+    }).then(function () {
+      connections.should.eql(1);
+      done();
+    }).then(null, done);
+  });
+
+  it('should limit the connections per host', function (done) {
+    var c = client({ keepAlive: { maxSockets: 2, idleTimeout: 1000 } });
+    Promise.all(_.map(_.range(5), function (i) {
+      return c.initIndex('index' + i).getSettings();
+    })).then(function () {
+      connections.should.eql(2);
+      done();
+    }).then(null, done);
+  });
+
+  it('should not count the wait for a free connection in the connect timeout', function (done) {
+    var c = client({ keepAlive: { maxSockets: 1 }, timeouts: { connect: 300 } });
+    delay = 400;
+    Promise.all(_.map(_.range(3), function (i) {
+      return c.initIndex('index' + i).getSettings();
+    })).then(function () {
+      connections.should.eql(1);
+      done();
+    }).then(null, done);
+  });
+
+  it('should use the global agent without keep-alive', function (done) {
+    var c = client({ keepAlive: false });
+    should.not.exist(c.transport.agent);
+    should.not.exist(c.dnsCache);
+    c.listIndexes(function (error) {
+      error.should.eql(false);
+      done();
+    });
+  });
+
+  it('should cache the DNS lookups', function (done) {
+    var c = client({ dnsCache: { ttl: 60000 } });
+    c.listIndexes().then(function () {
+      var entries = _.values(c.dnsCache.entries);
+      entries.should.have.length(1);
+      should.not.exist(entries[0].args[0]);
+      entries[0].time -= 1000;
+      return c.listIndexes({ headers: { Connection: 'close' } });
+    }).then(function () {
+      return c.listIndexes();
+    }).then(function () {
+      // the second connection used the cached address
+      connections.should.eql(2);
+      _.values(c.dnsCache.entries).should.have.length(1);
+      (Date.now() - _.values(c.dnsCache.entries)[0].time).should.not.be.below(1000);
+      done();
+    }).then(null, done);
+  });
+
+  it('should open the connections in advance', function (done) {
+    var c = client({ readHosts: ['localhost:' + port, '127.0.0.1:' + port], writeHosts: ['127.0.0.1:' + port] });
+    c.warmUp(function (error, content) {
+      error.should.eql(false);
+      _.pluck(content, 'host').should.eql(['localhost:' + port, '127.0.0.1:' + port]);
+      _.pluck(content, 'error').should.eql([null, null]);
+      content[0].latency.should.be.a('number');
+      connections.should.eql(2);
+      c.listIndexes(function (error) {
+        error.should.eql(false);
+        connections.should.eql(2);
+        c.warmUp(function (error, content) {
+          _.pluck(content, 'error').should.eql([null, null]);
+          connections.should.eql(2);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should report the hosts that cannot be reached', function (done) {
+    var c = client({ readHosts: ['127.0.0.1:1'], writeHosts: ['127.0.0.1:' + port] });
+    c.warmUp().then(function (content) {
+      content[0].should.have.property('host', '127.0.0.1:1');
+      content[0].error.should.match(/ECONNREFUSED/);
+      should.not.exist(content[1].error);
+      done();
+    }).then(null, done);
+  });
+});
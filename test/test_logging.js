@@ -0,0 +1,85 @@
+var should = require('should'),
+    mockedClient = require('./mocks/client');
+
+describe('Algolia Logging', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  // answer each request with the next response, client.logs holds the messages logged
+  function loggedClient(responses, options) {
+    var logs = [];
+    var client = mockedClient(responses, {
+      apiKey: 'Secret-API-Key',
+      logger: options && options.logger || function (message) { logs.push(message); }
+    });
+    client.logs = logs;
+    return client;
+  }
+
+  it('should log each attempt and the retry decisions', function (done) {
+    var client = loggedClient([
+      { statusCode: 503, json: { message: 'Unavailable' } },
+      { statusCode: 200, json: { items: [] } }
+    ]);
+    client.listIndexes(function (error) {
+      error.should.eql(false);
+      client.logs.should.have.length(5);
+      client.logs[0].should.match(/^GET \/1\/indexes\/ on host-1 \(attempt 1, timeouts 2000\/30000ms\) headers: /);
+      client.logs[1].should.match(/^GET \/1\/indexes\/ on host-1 failed in \d+ms: 503 AlgoliaError Unavailable$/);
+      client.logs[2].should.eql('GET /1/indexes/: retry 2/3 on host-2 in 0ms');
+      client.logs[3].should.match(/^GET \/1\/indexes\/ on host-2 \(attempt 2, timeouts 4000\/60000ms\)/);
+      client.logs[4].should.match(/^GET \/1\/indexes\/ on host-2: 200 in \d+ms$/);
+      done();
+    });
+  });
+
+  it('should log when giving up', function (done) {
+    var client = loggedClient([{ statusCode: 404, json: { message: 'Index does not exist' } }]);
+    client.initIndex('cities').getSettings(function (error) {
+      error.should.be.an.instanceOf(Algolia.NotFoundError);
+      client.logs[2].should.eql('GET /1/indexes/cities/settings: giving up after 1 attempt(s), the error is not retryable');
+      done();
+    });
+  });
+
+  it('should redact the API keys', function (done) {
+    var client = loggedClient([{ statusCode: 200, json: {} }, { statusCode: 200, json: {} }]);
+    client.enableRateLimitForward('Admin-API-Key', '1.2.3.4', 'Rate-Limited-API-Key');
+    client.getUserKeyACL('A-User-Key', function () {
+      client.disableRateLimitForward();
+      client.useSecuredAPIKey('Secured-API-Key', 'public');
+      client.listIndexes(function () {
+        var logs = client.logs.join('\n');
+        logs.should.not.match(/Secret-API-Key|Admin-API-Key|Rate-Limited-API-Key|Secured-API-Key|A-User-Key/);
+        logs.should.include('"X-Algolia-API-Key":"[REDACTED]"');
+        logs.should.include('"X-Forwarded-API-Key":"[REDACTED]"');
+        logs.should.include('"X-Forwarded-For":"1.2.3.4"');
+        logs.should.include('GET /1/keys/[REDACTED] on host-1');
+        done();
+      });
+    });
+  });
+
+  it('should accept a logger object', function (done) {
+    var messages = [];
+    var client = loggedClient([{ statusCode: 200, json: {} }], { logger: { debug: function (message) { messages.push(message); } } });
+    client.listIndexes(function () {
+      messages.should.have.length(2);
+      done();
+    });
+  });
+
+  it('should log on stderr when DEBUG enables algolia', function () {
+    var previous = process.env.DEBUG;
+    process.env.DEBUG = 'express:*,algolia*';
+    var enabled = new Algolia('ApplicationID', 'API-Key');
+    process.env.DEBUG = 'express:*';
+    var disabled = new Algolia('ApplicationID', 'API-Key');
+    if (previous === undefined) {
+      delete process.env.DEBUG;
+    } else {
+      process.env.DEBUG = previous;
+    }
+    enabled.logger.should.be.a('function');
+    should.not.exist(disabled.logger);
+  });
+});
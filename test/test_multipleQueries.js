@@ -3,7 +3,7 @@ var should = require('should'),
     _ = require('underscore');
 
 
-describe('Algolia Multiple Queries', function () {
+(process.env.ALGOLIA_APPLICATION_ID ? describe : describe.skip)('Algolia Multiple Queries', function () {
   var Algolia = require('../src/algoliasearch-node');
   function safe_index_name(name) {
     if (!process.env.TRAVIS)
@@ -17,7 +17,10 @@ describe('Algolia Multiple Queries', function () {
     done();
   });
 
-  var client = new Algolia(process.env.ALGOLIA_APPLICATION_ID, process.env.ALGOLIA_API_KEY);
+  var client;
+  before(function () {
+    client = new Algolia(process.env.ALGOLIA_APPLICATION_ID, process.env.ALGOLIA_API_KEY);
+  });
 
   it('should handle disjunctive faceting', function(done) {
     var index = client.initIndex(safe_index_name('test_hotels-node'));
@@ -0,0 +1,86 @@
+var should = require('should'),
+    _ = require('underscore'),
+    mockedClient = require('./mocks/client');
+
+describe('Algolia Request Options', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  it('should send the per call credentials and headers', function (done) {
+    var client = mockedClient();
+    client.initIndex('cities').search('paris', {}, undefined, { apiKey: 'Other-Key', userToken: 'user-42', forwardedFor: '1.2.3.4', headers: { 'X-Custom': 'value' } }).then(function () {
+      var headers = client.sent[0].headers;
+      headers.should.have.property('X-Algolia-API-Key', 'Other-Key');
+      headers.should.have.property('X-Algolia-UserToken', 'user-42');
+      headers.should.have.property('X-Forwarded-For', '1.2.3.4');
+      headers.should.have.property('X-Custom', 'value');
+      return client.listIndexes();
+    }).then(function () {
+      var headers = client.sent[1].headers;
+      headers.should.have.property('X-Algolia-API-Key', 'API-Key');
+      headers.should.not.have.property('X-Algolia-UserToken');
+      headers.should.not.have.property('X-Forwarded-For');
+      headers.should.not.have.property('X-Custom');
+      done();
+    }).then(null, done);
+  });
+
+  it('should derive clients with their own options', function (done) {
+    var client = mockedClient();
+    client.setExtraHeader('X-Shared', 'yes');
+    var alice = client.withOptions({ userToken: 'alice', headers: { 'X-User': 'alice' } });
+    var bob = client.withOptions({ apiKey: 'Bob-Key', forwardedFor: '5.6.7.8' });
+    alice.setExtraHeader('X-Alice-Only', 'yes');
+    bob.enableRateLimitForward('Admin-Key', '9.9.9.9', 'Limited-Key');
+    alice.initIndex('cities').search('paris', function (error) {
+      error.should.eql(false);
+      bob.listIndexes(function (error) {
+        error.should.eql(false);
+        client.listIndexes(function (error) {
+          error.should.eql(false);
+          var headers = _.pluck(client.sent, 'headers');
+          headers[0].should.have.property('X-Algolia-UserToken', 'alice');
+          headers[0].should.have.property('X-User', 'alice');
+          headers[0].should.have.property('X-Alice-Only', 'yes');
+          headers[0].should.have.property('X-Shared', 'yes');
+          headers[0].should.have.property('X-Algolia-API-Key', 'API-Key');
+          headers[1].should.have.property('X-Algolia-API-Key', 'Bob-Key');
+          headers[1].should.have.property('X-Forwarded-For', '5.6.7.8');
+          headers[1].should.have.property('X-Forwarded-API-Key', 'Limited-Key');
+          headers[1].should.not.have.property('X-Alice-Only');
+          headers[2].should.have.property('X-Algolia-API-Key', 'API-Key');
+          headers[2].should.not.have.property('X-Forwarded-For');
+          headers[2].should.not.have.property('X-Alice-Only');
+          client.requestHeaders.should.eql({ 'X-Shared': 'yes' });
+          done();
+        });
+      });
+    });
+  });
+
+  it('should let the per call options override the derived ones', function (done) {
+    var client = mockedClient();
+    var derived = client.withOptions({ userToken: 'alice', headers: { 'X-A': 'a' }, timeouts: { read: 500 } })
+                        .withOptions({ headers: { 'X-B': 'b' } });
+    derived._timeouts(derived.requestOptions, 0).should.eql({ connect: 2000, read: 500 });
+    derived.listIndexes(function (error) {
+      error.should.eql(false);
+      var headers = client.sent[0].headers;
+      headers.should.have.property('X-Algolia-UserToken', 'bob');
+      headers.should.have.property('X-A', 'a');
+      headers.should.have.property('X-B', 'b');
+      headers.should.have.property('X-C', 'c');
+      done();
+    }, { userToken: 'bob', headers: { 'X-C': 'c' } });
+  });
+
+  it('should share the host states with the derived clients', function (done) {
+    var client = mockedClient(function (req) {
+      return req.hostname === 'host-1' ? { statusCode: 503, json: { message: 'Down' } } : { statusCode: 200, json: {} };
+    }, { hosts: ['host-1', 'host-2'] });
+    client.withOptions({ userToken: 'alice' }).listIndexes(function (error) {
+      error.should.eql(false);
+      _.pluck(client.getHostStates(), 'host').should.eql(['host-2', 'host-1']);
+      done();
+    });
+  });
+});
@@ -0,0 +1,106 @@
+var should = require('should'),
+    mockedClient = require('./mocks/client');
+
+describe('Algolia Promise', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  // answer every request without touching the network
+  function promiseClient(responder) {
+    return mockedClient(function (req) {
+      return responder({ method: req.method, url: req.path, body: req.body && JSON.parse(req.body) });
+    }, { hosts: null });
+  }
+
+  it('should return a promise when no callback is given', function (done) {
+    var client = promiseClient(function (opts) {
+      opts.method.should.eql('POST');
+      opts.url.should.eql('/1/indexes/cities/query');
+      opts.body.should.eql({ params: 'query=san%20f&hitsPerPage=5' });
+      return { statusCode: 200, json: { hits: [{ name: 'San Francisco' }] } };
+    });
+
+    client.initIndex('cities').search('san f', { hitsPerPage: 5 }).then(function (content) {
+      content.hits[0].should.have.property('name', 'San Francisco');
+      done();
+    }, done);
+  });
+
+  it('should reject the promise when the request fails', function (done) {
+    var client = promiseClient(function () {
+      return { statusCode: 404, json: { message: 'Index does not exist' } };
+    });
+
+    client.initIndex('cities').getSettings().then(function () {
+      done(new Error('should not resolve'));
+    }, function (err) {
+      err.should.be.an.instanceOf(Algolia.NotFoundError);
+      err.message.should.eql('Index does not exist');
+      err.content.should.eql({ message: 'Index does not exist' });
+      done();
+    });
+  });
+
+  it('should not return a promise when a callback is given', function (done) {
+    var client = promiseClient(function () {
+      return { statusCode: 200, json: { items: [] } };
+    });
+
+    var ret = client.listIndexes(function (error, content) {
+      error.should.eql(false);
+      content.should.eql({ items: [] });
+      done();
+    });
+    ret.should.not.be.an.instanceOf(Promise);
+    ret.abort.should.be.a('function');
+  });
+
+  it('should accept the optional arguments in place of the callback', function (done) {
+    var urls = [];
+    var client = promiseClient(function (opts) {
+      urls.push(opts.url);
+      return { statusCode: 200, json: {} };
+    });
+    var index = client.initIndex('cities');
+
+    client.getLogs(5, 20, true).then(function () {
+      return index.getObject('42', ['name']);
+    }).then(function () {
+      return index.browse(2, 100);
+    }).then(function () {
+      return index.addObject({ name: 'Paris' }, 'myID');
+    }).then(function () {
+      urls.should.eql([
+        '/1/logs?offset=5&length=20&type=error',
+        '/1/indexes/cities/42?attributes=name',
+        '/1/indexes/cities/browse?page=2&hitsPerPage=100',
+        '/1/indexes/cities/myID'
+      ]);
+      done();
+    }).then(null, done);
+  });
+
+  it('should resolve waitTask once the task is published', function (done) {
+    var calls = 0;
+    var client = promiseClient(function () {
+      ++calls;
+      return { statusCode: 200, json: { status: calls < 2 ? 'notPublished' : 'published' } };
+    });
+
+    client.initIndex('cities').waitTask(42).then(function (content) {
+      content.status.should.eql('published');
+      calls.should.eql(2);
+      done();
+    }, done);
+  });
+
+  it('should reject deleteObject without objectID', function (done) {
+    var client = promiseClient(function () {
+      throw new Error('no request expected');
+    });
+
+    client.initIndex('cities').deleteObject('').then(null, function (err) {
+      err.message.should.eql('empty objectID');
+      done();
+    });
+  });
+});
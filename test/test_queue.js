@@ -0,0 +1,121 @@
+var should = require('should'),
+    _ = require('underscore'),
+    mockedClient = require('./mocks/client');
+
+describe('Algolia Queue', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  // the requests are only answered when client.answer() is called, client.sent lists them
+  function queuedClient(concurrency) {
+    var pending = [];
+    var client = mockedClient(function (req, callback) {
+      pending.push(callback);
+    }, { hosts: null, concurrency: concurrency });
+    client.answer = function () {
+      pending.shift()(null, { json: { taskID: 1, hits: [] } });
+    };
+    return client;
+  }
+
+  it('should limit the number of requests in progress', function (done) {
+    var client = queuedClient({ read: 2 });
+    var index = client.initIndex('cities'), answered = 0;
+    _.times(5, function (i) {
+      index.search('q' + i, function (error) {
+        error.should.eql(false);
+        if (++answered === 5) {
+          client.getQueueStats().read.should.have.property('active', 0);
+          client.getQueueStats().read.should.have.property('waited', 3);
+          done();
+        }
+      });
+    });
+    setTimeout(function () {
+      client.sent.should.have.length(2);
+      var stats = client.getQueueStats().read;
+      stats.should.have.property('limit', 2);
+      stats.should.have.property('active', 2);
+      stats.should.have.property('queued', 3);
+      stats.oldestWaitTime.should.be.within(15, 100);
+      client.answer();
+      setTimeout(function () {
+        client.sent.should.have.length(3);
+        client.answer();
+        client.answer();
+        setTimeout(function () {
+          client.answer();
+          client.answer();
+        }, 5);
+      }, 5);
+    }, 20);
+  });
+
+  it('should limit the reads and the writes separately', function (done) {
+    var client = queuedClient({ read: 1, write: 1 });
+    var index = client.initIndex('cities');
+    index.saveObject({ objectID: '1' });
+    index.saveObject({ objectID: '2' });
+    index.search('paris');
+    index.getObject('1');
+    setTimeout(function () {
+      _.pluck(client.sent, 'path').should.eql(['/1/indexes/cities/1', '/1/indexes/cities/query']);
+      client.getQueueStats().write.should.have.property('queued', 1);
+      client.getQueueStats().read.should.have.property('queued', 1);
+      done();
+    }, 10);
+  });
+
+  it('should start the requests with the highest priority first', function (done) {
+    var client = queuedClient({ write: 1 });
+    var index = client.initIndex('cities');
+    index.saveObject({ objectID: 'first' });
+    index.saveObject({ objectID: 'background' }, { priority: -1 });
+    index.saveObject({ objectID: 'normal' });
+    index.saveObject({ objectID: 'urgent' }, { priority: 10 });
+    setTimeout(function () {
+      client.answer();
+      setTimeout(function () {
+        client.answer();
+        setTimeout(function () {
+          client.answer();
+          setTimeout(function () {
+            _.pluck(client.sent, 'path').should.eql(['/1/indexes/cities/first', '/1/indexes/cities/urgent',
+                                    '/1/indexes/cities/normal', '/1/indexes/cities/background']);
+            done();
+          }, 5);
+        }, 5);
+      }, 5);
+    }, 5);
+  });
+
+  it('should remove the aborted requests from the queue', function (done) {
+    var client = queuedClient({ read: 1 });
+    var index = client.initIndex('cities');
+    var first = index.search('first');
+    var second = index.search('second');
+    second.then(null, function (error) {
+      error.should.be.an.instanceOf(Algolia.AbortError);
+      client.getQueueStats().read.should.have.property('queued', 0);
+      first.abort();
+      first.then(null, function () {
+        client.getQueueStats().read.should.have.property('active', 0);
+        client.sent.should.have.length(1);
+        done();
+      }).then(null, done);
+    }).then(null, done);
+    second.abort();
+  });
+
+  it('should not limit the requests by default', function (done) {
+    var client = queuedClient();
+    var index = client.initIndex('cities');
+    for (var i = 0; i < 20; ++i) {
+      index.search('q' + i);
+    }
+    setTimeout(function () {
+      client.sent.should.have.length(20);
+      client.getQueueStats().read.should.have.property('limit', null);
+      done();
+    }, 10);
+  });
+});
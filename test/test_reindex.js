@@ -0,0 +1,171 @@
+var should = require('should'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    stream = require('stream'),
+    _ = require('underscore'),
+    mockedClient = require('./mocks/client');
+
+describe('Algolia Reindex', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  // in-memory indexes: { name: { settings, keys, records } }, the batches containing `fail` are rejected,
+  // client.log lists the requests received
+  function indexesClient(indexes) {
+    var taskID = 0;
+    var client = mockedClient(function (req, callback) {
+      var parts = req.path.split('?')[0].split('/');
+      var name = decodeURIComponent(parts[3]);
+      var index = indexes[name];
+      var body = req.body ? JSON.parse(req.body) : null;
+      var route = req.method + ' ' + (parts[4] || '');
+      client.log.push(req.method + ' ' + name + (parts[4] ? ' ' + parts[4] : ''));
+      var answer = function (json) {
+        setTimeout(function () {
+          callback(null, { statusCode: 200, json: req.method === 'GET' ? json : _.extend({ taskID: ++taskID }, json) });
+        }, 1);
+      };
+      var create = function () {
+        index = indexes[name] = index || { settings: {}, keys: [], records: [] };
+      };
+      if (!index && _.contains(['DELETE ', 'GET settings'], route)) {
+        callback(null, { statusCode: 404, json: { message: 'Index does not exist' } });
+      } else if (route === 'DELETE ') {
+        delete indexes[name];
+        answer({ deletedAt: 'now' });
+      } else if (route === 'GET settings') {
+        answer(index.settings);
+      } else if (route === 'PUT settings') {
+        create();
+        index.settings = body;
+        answer({ updatedAt: 'now' });
+      } else if (route === 'POST batch') {
+        if (_.find(body.requests, function (request) { return request.body.fail; })) {
+          callback(null, { statusCode: 400, json: { message: 'Invalid object' } });
+          return;
+        }
+        create();
+        index.records = index.records.concat(_.pluck(body.requests, 'body'));
+        answer({ objectIDs: [] });
+      } else if (route === 'GET task') {
+        answer({ status: 'published' });
+      } else if (route === 'POST operation') {
+        // the keys of the destination are kept, the ones of the source added
+        var destination = indexes[body.destination];
+        indexes[body.destination] = _.extend({}, index, { keys: (destination ? destination.keys : []).concat(index.keys) });
+        delete indexes[name];
+        answer({ updatedAt: 'now' });
+      } else {
+        callback(null, { statusCode: 400, json: { message: 'Unexpected ' + route } });
+      }
+    }, { retry: { maxAttempts: 1 } });
+    client.log = [];
+    return client;
+  }
+
+  function live() {
+    return {
+      contacts: {
+        settings: { attributesToIndex: ['lastname'] },
+        keys: [{ value: 'live-key', acl: ['search'], validity: 0, maxQueriesPerIPPerHour: 100 }],
+        records: [{ objectID: 'old' }]
+      }
+    };
+  }
+
+  it('should rebuild the index in a temporary index and move it', function (done) {
+    var indexes = live();
+    var client = indexesClient(indexes);
+    var records = [{ objectID: '1' }, { objectID: '2' }];
+    client.reindex('contacts', records, function (error, content) {
+      error.should.eql(false);
+      content.should.have.property('records', 2);
+      content.should.have.property('updatedAt', 'now');
+      _.keys(indexes).should.eql(['contacts']);
+      indexes.contacts.records.should.eql(records);
+      indexes.contacts.settings.should.eql({ attributesToIndex: ['lastname'] });
+      indexes.contacts.keys.should.eql(live().contacts.keys);
+      client.log.should.eql([
+        'DELETE contacts_tmp', 'GET contacts settings', 'PUT contacts_tmp settings',
+        'POST contacts_tmp batch', 'GET contacts_tmp task', 'GET contacts_tmp task', 'POST contacts_tmp operation'
+      ]);
+      done();
+    });
+  });
+
+  it('should create a missing index and stream the records in', function (done) {
+    var indexes = { other_tmp: { settings: {}, keys: [], records: [{ objectID: 'stale' }] } };
+    var client = indexesClient(indexes);
+    client.chunking = { maxObjects: 2, maxBytes: 1000000, concurrency: 2 };
+    var list = _.map(_.range(5), function (i) { return { objectID: String(i) }; });
+    var source = new stream.Readable({ objectMode: true, read: function () {
+      this.push(list.length > 0 ? list.shift() : null);
+    } });
+    client.reindex('contacts', source, { tmpIndexName: 'other_tmp' }).then(function (content) {
+      content.records.should.eql(5);
+      _.keys(indexes).should.eql(['contacts']);
+      _.pluck(indexes.contacts.records, 'objectID').should.eql(['0', '1', '2', '3', '4']);
+      _.filter(client.log, function (line) { return line === 'GET other_tmp task'; }).should.have.length(4);
+      done();
+    }).then(null, done);
+  });
+
+  it('should import a file', function (done) {
+    var indexes = live();
+    var client = indexesClient(indexes);
+    var file = path.join(os.tmpdir(), 'algolia-reindex-' + process.pid + '.csv');
+    fs.writeFileSync(file, 'objectID,followers\n1,10\n2,20\n');
+    client.reindex('contacts', file, { columns: { followers: 'number' }, copySettings: false }).then(function (content) {
+      fs.unlinkSync(file);
+      content.records.should.eql(2);
+      indexes.contacts.records.should.eql([{ objectID: '1', followers: 10 }, { objectID: '2', followers: 20 }]);
+      indexes.contacts.settings.should.eql({});
+      done();
+    }).then(null, done);
+  });
+
+  it('should delete the temporary index and leave the index untouched on failure', function (done) {
+    var indexes = live();
+    var client = indexesClient(indexes);
+    client.reindex('contacts', [{ objectID: '1' }, { objectID: '2', fail: true }], function (error) {
+      error.should.be.an.instanceOf(Algolia.InvalidRequestError);
+      error.message.should.eql('Invalid object');
+      indexes.should.eql(live());
+      _.last(client.log).should.eql('DELETE contacts_tmp');
+      var source = new stream.Readable({ objectMode: true, read: function () {
+        this.destroy(new Error('connection lost'));
+      } });
+      client.reindex('contacts', source).then(null, function (error) {
+        error.message.should.eql('Cannot read the source: connection lost');
+        indexes.should.eql(live());
+        done();
+      });
+    });
+  });
+
+  it('should clean up after an abort', function (done) {
+    var indexes = live();
+    var client = indexesClient(indexes);
+    var call = client.reindex('contacts', [{ objectID: '1' }], function (error) {
+      error.should.be.an.instanceOf(Algolia.AbortError);
+      setTimeout(function () {
+        indexes.should.eql(live());
+        _.contains(client.log, 'POST contacts_tmp operation').should.eql(false);
+        _.last(client.log).should.eql('DELETE contacts_tmp');
+        done();
+      }, 20);
+    });
+    setTimeout(function () {
+      call.abort();
+    }, 3);
+  });
+
+  it('should reject an invalid source', function (done) {
+    var client = indexesClient(live());
+    client.reindex('contacts', 42).then(null, function (error) {
+      error.should.be.an.instanceOf(Algolia.InvalidRequestError);
+      client.log.should.eql([]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,100 @@
+var should = require('should'),
+    _ = require('underscore'),
+    mockedClient = require('./mocks/client');
+
+describe('Algolia Retry', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  it('should not retry client errors', function (done) {
+    var client = mockedClient([{ statusCode: 409, json: { message: 'Conflict' } }]);
+    client.listIndexes(function (error) {
+      error.should.have.property('statusCode', 409);
+      error.should.have.property('retryable', false);
+      client.tried.should.eql(['host-1']);
+      done();
+    });
+  });
+
+  it('should retry unparsable answers', function (done) {
+    var client = mockedClient([{ statusCode: 200, headers: { 'Content-Type': 'application/json' }, body: '{ not json' }, { statusCode: 200, json: { items: [] } }]);
+    client.listIndexes(function (error, content) {
+      error.should.eql(false);
+      content.should.eql({ items: [] });
+      client.tried.should.eql(['host-1', 'host-2']);
+      done();
+    });
+  });
+
+  it('should cycle through the hosts up to maxAttempts', function (done) {
+    var responses = [];
+    for (var i = 0; i < 5; ++i) {
+      responses.push({ statusCode: 503, json: { message: 'Fail ' + i } });
+    }
+    var client = mockedClient(responses, { retry: { maxAttempts: 5, baseDelay: 10, maxDelay: 20 } });
+    client.listIndexes(function (error) {
+      error.should.have.property('message', 'Fail 4');
+      client.tried.should.eql(['host-1', 'host-2', 'host-3', 'host-1', 'host-2']);
+      error.hosts.should.eql(client.tried);
+      done();
+    });
+  });
+
+  it('should accept a per call retry policy', function (done) {
+    var client = mockedClient([
+      { statusCode: 500, json: { message: 'Fail' } },
+      { statusCode: 200, json: { items: [] } }
+    ]);
+    client.listIndexes({ retry: { maxAttempts: 1 } }).then(null, function (error) {
+      error.should.have.property('statusCode', 500);
+      client.tried.should.eql(['host-1']);
+      done();
+    }).then(null, done);
+  });
+
+  it('should fail over right away during the first pass', function () {
+    var client = new Algolia('ApplicationID', 'API-Key');
+    var error = new Algolia.AlgoliaError('Fail', { statusCode: 503 });
+    client._retryDelay(client.retry, 1, 3, error, null).should.eql(0);
+    client._retryDelay(client.retry, 2, 3, error, null).should.eql(0);
+  });
+
+  it('should wait an exponential backoff with jitter once all hosts were tried', function () {
+    var client = new Algolia('ApplicationID', 'API-Key', undefined, undefined, { retry: { baseDelay: 100, maxDelay: 1000 } });
+    var error = new Algolia.AlgoliaError('Fail', { statusCode: 503 });
+    for (var i = 0; i < 20; ++i) {
+      client._retryDelay(client.retry, 3, 3, error, null).should.be.within(200, 400);
+      client._retryDelay(client.retry, 4, 3, error, null).should.be.within(400, 800);
+      client._retryDelay(client.retry, 10, 3, error, null).should.be.within(500, 1000);
+    }
+  });
+
+  it('should always wait on 429 and honor Retry-After', function () {
+    var client = new Algolia('ApplicationID', 'API-Key');
+    var error = new Algolia.AlgoliaError('Too Many Requests', { statusCode: 429 });
+    client._retryDelay(client.retry, 1, 3, error, { headers: {} }).should.be.within(50, 100);
+    client._retryDelay(client.retry, 1, 3, error, { headers: { 'retry-after': '2' } }).should.eql(2000);
+    var date = new Date(Date.now() + 5000).toUTCString();
+    client._retryDelay(client.retry, 1, 3, error, { headers: { 'retry-after': date } }).should.be.within(3000, 5000);
+  });
+
+  it('should limit the Retry-After delay to maxDelay and ignore the invalid values', function () {
+    var client = new Algolia('ApplicationID', 'API-Key', undefined, undefined, { retry: { baseDelay: 100, maxDelay: 5000 } });
+    var error = new Algolia.AlgoliaError('Too Many Requests', { statusCode: 429 });
+    client._retryDelay(client.retry, 1, 3, error, { headers: { 'retry-after': '86400' } }).should.eql(5000);
+    client._retryDelay(client.retry, 1, 3, error, { headers: { 'retry-after': 'tomorrow' } }).should.be.within(50, 100);
+    var past = new Date(Date.now() - 5000).toUTCString();
+    client._retryDelay(client.retry, 1, 3, error, { headers: { 'retry-after': past } }).should.be.within(50, 100);
+  });
+
+  it('should not mark a host down on 429', function (done) {
+    var client = mockedClient([
+      { statusCode: 429, headers: { 'retry-after': '0' }, json: { message: 'Too Many Requests' } },
+      { statusCode: 200, json: { items: [] } }
+    ], { retry: { baseDelay: 1 } });
+    client.listIndexes(function (error) {
+      error.should.eql(false);
+      _.pluck(client.getHostStates(), 'up').should.eql([true, true, true]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,69 @@
+var should = require('should'),
+    net = require('net');
+
+describe('Algolia Timeouts', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  // servers accepting connections but never answering
+  var servers = [], hosts = [];
+  before(function (done) {
+    var listening = 0;
+    var listen = function () {
+      if (++listening === 2) {
+        hosts = servers.map(function (s) { return '127.0.0.1:' + s.address().port; });
+        done();
+      }
+    };
+    for (var i = 0; i < 2; ++i) {
+      var server = net.createServer(function () {});
+      servers.push(server);
+      server.listen(0, '127.0.0.1', listen);
+    }
+  });
+
+  after(function () {
+    servers.forEach(function (server) { server.close(); });
+  });
+
+  it('should use default timeouts', function () {
+    var client = new Algolia('ApplicationID', 'API-Key');
+    client.timeouts.should.eql({ connect: 2000, read: 30000 });
+  });
+
+  it('should grow the timeouts with each retry', function () {
+    var client = new Algolia('ApplicationID', 'API-Key', undefined, undefined, { timeouts: { connect: 100, read: 1000 } });
+    client._timeouts(undefined, 0, 3).should.eql({ connect: 100, read: 1000 });
+    client._timeouts(undefined, 2, 3).should.eql({ connect: 300, read: 3000 });
+    client._timeouts({ timeouts: { read: 50 } }, 1, 3).should.eql({ connect: 200, read: 100 });
+  });
+
+  it('should not grow the timeouts beyond the number of hosts', function () {
+    var client = new Algolia('ApplicationID', 'API-Key', undefined, undefined, { timeouts: { connect: 100, read: 1000 } });
+    client._timeouts(undefined, 9, 3).should.eql({ connect: 300, read: 3000 });
+    client._timeouts(undefined, 4, 1).should.eql({ connect: 100, read: 1000 });
+  });
+
+  it('should give up on a hanging host and try the next one', function (done) {
+    var client = new Algolia('ApplicationID', 'API-Key', undefined, hosts, { timeouts: { connect: 1000, read: 50 } }),
+        start = Date.now();
+    client.listIndexes(function (error, content) {
+      error.should.be.an.instanceOf(Algolia.TimeoutError);
+      error.should.be.an.instanceOf(Algolia.NetworkError);
+      error.should.have.property('retryable', true);
+      error.message.should.eql('read timeout of 100ms exceeded');
+      error.hosts.should.eql(client.readHosts);
+      (Date.now() - start).should.be.above(140);
+      content.should.have.property('message', error.message);
+      done();
+    });
+  });
+
+  it('should accept per call timeouts', function (done) {
+    var client = new Algolia('ApplicationID', 'API-Key', undefined, [hosts[0]], { timeouts: { read: 10000 } });
+    client.initIndex('cities').search('foo', { hitsPerPage: 1 }, undefined, { timeouts: { read: 20 } }).then(null, function (error) {
+      error.should.be.an.instanceOf(Algolia.TimeoutError);
+      error.message.should.eql('read timeout of 20ms exceeded');
+      done();
+    }).then(null, done);
+  });
+});
@@ -0,0 +1,134 @@
+var should = require('should'),
+    http = require('http');
+
+describe('Algolia Transports', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  describe('HttpTransport', function () {
+    var server, host, received;
+    before(function (done) {
+      server = http.createServer(function (req, res) {
+        var body = '';
+        req.on('data', function (chunk) { body += chunk; });
+        req.on('end', function () {
+          received = { method: req.method, url: req.url, headers: req.headers, body: body };
+          res.writeHead(200, { 'Content-Type': 'application/json; charset=UTF-8' });
+          res.end(JSON.stringify({ hits: [{ name: 'Paris' }] }));
+        });
+      });
+      server.listen(0, '127.0.0.1', function () {
+        host = '127.0.0.1:' + server.address().port;
+        done();
+      });
+    });
+
+    after(function () {
+      server.close();
+    });
+
+    it('should send the requests to a local server', function (done) {
+      var client = new Algolia('ApplicationID', 'API-Key', undefined, [host], { transport: new Algolia.HttpTransport() });
+      client.initIndex('cities').search('pàris', function (error, content) {
+        error.should.eql(false);
+        content.hits[0].should.have.property('name', 'Paris');
+        received.method.should.eql('POST');
+        received.url.should.eql('/1/indexes/cities/query');
+        received.body.should.eql('{"params":"query=p%C3%A0ris"}');
+        received.headers.should.have.property('x-algolia-application-id', 'ApplicationID');
+        received.headers.should.have.property('x-algolia-api-key', 'API-Key');
+        received.headers.should.have.property('content-length', String(received.body.length));
+        done();
+      });
+    });
+  });
+
+  describe('MemoryTransport', function () {
+    it('should answer with the handler result', function (done) {
+      var transport = new Algolia.MemoryTransport(function (req) {
+        return { statusCode: 201, headers: { 'Content-Type': 'application/json' }, body: '{"taskID":42}' };
+      });
+      var client = new Algolia('ApplicationID', 'API-Key', undefined, undefined, { transport: transport });
+      client.initIndex('cities').addObject({ name: 'Paris' }, 'myID', function (error, content) {
+        error.should.eql(false);
+        content.should.eql({ taskID: 42 });
+        transport.requests.should.have.length(1);
+        transport.requests[0].should.have.property('method', 'PUT');
+        transport.requests[0].should.have.property('path', '/1/indexes/cities/myID');
+        transport.requests[0].should.have.property('body', '{"name":"Paris"}');
+        done();
+      });
+    });
+
+    it('should accept an asynchronous handler', function (done) {
+      var transport = new Algolia.MemoryTransport(function (req, callback) {
+        setTimeout(function () {
+          callback(null, { json: { items: [] } });
+        }, 5);
+      });
+      var client = new Algolia('ApplicationID', 'API-Key', undefined, undefined, { transport: transport });
+      client.listIndexes().then(function (content) {
+        content.should.eql({ items: [] });
+        done();
+      }).then(null, done);
+    });
+
+    it('should give a NetworkError when the handler throws', function (done) {
+      var transport = new Algolia.MemoryTransport(function (req) {
+        throw new Error('connection refused');
+      });
+      var client = new Algolia('ApplicationID', 'API-Key', undefined, undefined, { transport: transport });
+      client.listIndexes(function (error, content) {
+        error.should.be.an.instanceOf(Algolia.NetworkError);
+        error.message.should.eql('connection refused');
+        transport.requests.should.have.length(3);
+        done();
+      });
+    });
+
+    it('should not answer once aborted', function (done) {
+      var transport = new Algolia.MemoryTransport(function (req) {
+        return { json: {} };
+      });
+      var handle = transport.request({ method: 'GET', hostname: 'host', path: '/1/indexes/', headers: {}, body: null }, function () {
+        done(new Error('should not answer'));
+      });
+      handle.abort();
+      setTimeout(done, 10);
+    });
+  });
+
+  describe('ParseTransport', function () {
+    afterEach(function () {
+      delete global.Parse;
+    });
+
+    it('should send the requests with Parse.Cloud.httpRequest', function (done) {
+      global.Parse = { Cloud: { httpRequest: function (opts) {
+        opts.method.should.eql('GET');
+        opts.url.should.eql('https://host-1:8443/1/indexes/');
+        opts.headers.should.have.property('X-Algolia-API-Key', 'API-Key');
+        should.not.exist(opts.body);
+        opts.success({ status: 200, headers: { 'Content-Type': 'application/json' }, text: '{"items":[]}' });
+      } } };
+      var client = new Algolia('ApplicationID', 'API-Key', undefined, ['host-1:8443']);
+      client.transport.should.be.an.instanceOf(Algolia.ParseTransport);
+      client.listIndexes(function (error, content) {
+        error.should.eql(false);
+        content.should.eql({ items: [] });
+        done();
+      });
+    });
+
+    it('should give the error answers back', function (done) {
+      global.Parse = { Cloud: { httpRequest: function (opts) {
+        opts.error({ status: 404, headers: { 'Content-Type': 'application/json' }, text: '{"message":"Index does not exist"}' });
+      } } };
+      var client = new Algolia('ApplicationID', 'API-Key');
+      client.initIndex('cities').getSettings(function (error, content) {
+        error.should.be.an.instanceOf(Algolia.NotFoundError);
+        content.should.eql({ message: 'Index does not exist' });
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,110 @@
+var should = require('should'),
+    stream = require('stream'),
+    _ = require('underscore'),
+    batchClient = require('./mocks/batch');
+
+describe('Algolia Write Stream', function () {
+  var Algolia = require('../src/algoliasearch-node');
+
+  function source(records) {
+    var readable = new stream.Readable({ objectMode: true, read: function () {
+      this.push(records.length > 0 ? records.shift() : null);
+    } });
+    readable.records = records;
+    return readable;
+  }
+
+  it('should send the records written in batches', function (done) {
+    var client = batchClient({ maxObjects: 10 });
+    var writable = client.initIndex('contacts').createWriteStream();
+    var taskIDs = [];
+    writable.on('taskID', function (taskID) {
+      taskIDs.push(taskID);
+    });
+    source(_.map(_.range(25), function (i) { return { n: i }; })).pipe(writable).on('finish', function () {
+      _.map(client.batches, function (requests) { return requests.length; }).should.eql([10, 10, 5]);
+      client.batches[0][0].should.eql({ action: 'addObject', body: { n: 0 } });
+      taskIDs.sort().should.eql([100, 101, 102]);
+      writable.taskIDs.sort().should.eql([100, 101, 102]);
+      writable.taskID.should.eql(102);
+      client.polls.should.eql([]);
+      done();
+    });
+  });
+
+  it('should apply backpressure while the batches wait to be sent', function (done) {
+    var client = batchClient({ maxObjects: 10, concurrency: 1 });
+    var records = _.map(_.range(1000), function (i) { return { objectID: String(i) }; });
+    var readable = source(records);
+    var writable = client.initIndex('contacts').createWriteStream({ action: 'updateObject', highWaterMark: 5 });
+    var maxBuffered = 0;
+    writable.on('taskID', function () {
+      // records read from the source but not yet accepted
+      maxBuffered = Math.max(maxBuffered, 1000 - readable.records.length - 10 * writable.taskIDs.length);
+    });
+    readable.pipe(writable).on('finish', function () {
+      client.batches.should.have.length(100);
+      client.batches[99][9].should.eql({ action: 'updateObject', body: { objectID: '999' }, objectID: '999' });
+      maxBuffered.should.be.below(60);
+      done();
+    });
+  });
+
+  it('should delete the objectIDs written', function (done) {
+    var client = batchClient();
+    var writable = client.initIndex('contacts').createWriteStream({ action: 'deleteObject' });
+    writable.write('1');
+    writable.end({ objectID: '2', name: 'Cruz' }, function () {
+      client.batches[0].should.eql([
+        { action: 'deleteObject', body: { objectID: '1' }, objectID: '1' },
+        { action: 'deleteObject', body: { objectID: '2' }, objectID: '2' }
+      ]);
+      done();
+    });
+  });
+
+  it('should wait for the tasks to be published before finish', function (done) {
+    var client = batchClient({ maxObjects: 2 });
+    var writable = client.initIndex('contacts').createWriteStream({ action: 'partialUpdateObject', waitForTasks: true });
+    source([{ objectID: '1' }, { objectID: '2' }, { objectID: '3' }]).pipe(writable).on('finish', function () {
+      client.polls.sort().should.eql([100, 100, 101, 101]);
+      done();
+    });
+  });
+
+  it('should emit the errors', function (done) {
+    var client = batchClient({ maxObjects: 2 });
+    var writable = client.initIndex('contacts').createWriteStream();
+    writable.on('error', function (error) {
+      error.should.be.an.instanceOf(Algolia.BatchError);
+      error.message.should.eql('1 of 2 chunks failed, 1 of 3 objects were not accepted: Invalid object');
+      var updates = client.initIndex('contacts').createWriteStream({ action: 'updateObject' });
+      updates.on('error', function (error) {
+        error.should.be.an.instanceOf(Algolia.InvalidRequestError);
+        error.message.should.eql('Missing objectID in the record given to updateObject');
+        (function () {
+          client.initIndex('contacts').createWriteStream({ action: 'addObjects' });
+        }).should.throw(/^Invalid action addObjects, expected addObject, updateObject, partialUpdateObject, deleteObject$/);
+        done();
+      });
+      updates.write({ name: 'Essie' });
+    });
+    source([{ n: 1 }, { n: 2 }, { n: 3, fail: true }]).pipe(writable);
+  });
+
+  it('should be destroyed by the abort signal', function (done) {
+    var client = batchClient({ maxObjects: 1, concurrency: 1 });
+    var canceller = new Algolia.Canceller();
+    var writable = client.initIndex('contacts').createWriteStream({}, { signal: canceller.signal });
+    writable.on('error', function (error) {
+      error.should.be.an.instanceOf(Algolia.AbortError);
+      setTimeout(function () {
+        client.batches.should.have.length(1);
+        done();
+      }, 20);
+    });
+    writable.write({ n: 1 });
+    writable.write({ n: 2 });
+    canceller.abort();
+  });
+});